@@ -0,0 +1,214 @@
+/**
+ * Google Docs Labels - background service worker
+ * - Adds an "Add label" context menu to Google editor links and pages
+ * - Forwards the keyboard shortcuts (chrome.commands) to the content script
+ * - Applies label index updates from every tab one at a time (see label-store.js)
+ * - Runs sync with chrome.storage.sync for every tab (see label-sync.js)
+ *
+ * The menu lists the most used labels in the label index and is rebuilt when that list changes.
+ * Labels are written through label-store.js, the same store the content script uses.
+ */
+
+importScripts('label-store.js', 'label-sync.js');
+
+(function() {
+    'use strict';
+
+    const { EXT_LABEL_NAMES_KEY, EXT_LABEL_DOCS_PREFIX, DRIVE_LABELS_URL, FILE_TYPES, parseDocumentUrl, stripEditorTitleSuffix, INDEX_TASK_MESSAGE, isLabelIndexChange, runIndexTask, loadMasterData, loadDocRecord, setLabelsOnDocs } = GDLabelStore;
+    const { SYNC_MESSAGE, isSyncedLocalKey, syncNow, scheduleSync } = GDLabelSync;
+
+    const MENU_LINK_ROOT = 'gd-label-link';
+    const MENU_PAGE_ROOT = 'gd-label-page';
+    const MENU_NEW_LABEL = 'new';
+    const MENU_LABEL_LIMIT = 50; // the most used labels are listed; "New label…" accepts any name
+
+    const EDITOR_URL_PATTERNS = Object.keys(FILE_TYPES).map((type) => 'https://docs.google.com/' + FILE_TYPES[type].path + '/*');
+
+    // Menu item IDs are "<root>|<label>", or "<root>|new" for the New label… entry
+    function menuItemId(root, labelName) {
+        return root + '|' + (labelName === null ? MENU_NEW_LABEL : 'label:' + labelName);
+    }
+
+    function parseMenuItemId(id) {
+        const sep = String(id).indexOf('|');
+        if (sep < 0) return null;
+        const root = id.slice(0, sep);
+        const rest = id.slice(sep + 1);
+        if (rest === MENU_NEW_LABEL) return { root: root, label: null };
+        if (rest.startsWith('label:')) return { root: root, label: rest.slice('label:'.length) };
+        return null;
+    }
+
+    function getMenuLabels(counts) {
+        return Object.keys(counts)
+            .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+            .slice(0, MENU_LABEL_LIMIT)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    // -----------------------------
+    // Context menus
+    // -----------------------------
+
+    let rebuildChain = Promise.resolve();
+
+    // Documents per label. The whole index is read once per worker start; after that the counts follow
+    // the index writes reported by storage change events, so a save costs no index read here, and the
+    // menus are only rebuilt when the listed labels change.
+    let labelCounts = null;
+    let countsMissedChange = false; // a change arrived before the counts were loaded
+    let menuLabelsJson = null;
+
+    async function loadLabelCounts() {
+        const master = await loadMasterData();
+        const counts = {};
+        Object.keys(master).forEach((label) => { counts[label] = master[label].length; });
+        return counts;
+    }
+
+    function applyIndexChanges(changes) {
+        Object.keys(changes).forEach((key) => {
+            if (!key.startsWith(EXT_LABEL_DOCS_PREFIX)) return;
+            const docs = changes[key].newValue;
+            const label = key.slice(EXT_LABEL_DOCS_PREFIX.length);
+            if (Array.isArray(docs) && docs.length > 0) labelCounts[label] = docs.length;
+            else delete labelCounts[label];
+        });
+        const names = changes[EXT_LABEL_NAMES_KEY] && changes[EXT_LABEL_NAMES_KEY].newValue;
+        if (Array.isArray(names)) {
+            Object.keys(labelCounts).forEach((label) => { if (!names.includes(label)) delete labelCounts[label]; });
+        }
+    }
+
+    function removeAllMenus() {
+        return new Promise((resolve) => chrome.contextMenus.removeAll(() => resolve()));
+    }
+
+    function createMenu(props) {
+        chrome.contextMenus.create(props, () => { void chrome.runtime.lastError; });
+    }
+
+    async function buildMenus(force) {
+        if (!labelCounts || countsMissedChange) {
+            countsMissedChange = false;
+            labelCounts = await loadLabelCounts();
+        }
+        const labelNames = getMenuLabels(labelCounts);
+        if (!force && JSON.stringify(labelNames) === menuLabelsJson) return;
+        menuLabelsJson = JSON.stringify(labelNames);
+        await removeAllMenus();
+
+        [
+            { root: MENU_LINK_ROOT, contexts: ['link'], patterns: { targetUrlPatterns: EDITOR_URL_PATTERNS } },
+            { root: MENU_PAGE_ROOT, contexts: ['page'], patterns: { documentUrlPatterns: EDITOR_URL_PATTERNS } }
+        ].forEach(({ root, contexts, patterns }) => {
+            createMenu(Object.assign({ id: root, title: 'Add label', contexts: contexts }, patterns));
+            labelNames.forEach((labelName) => {
+                createMenu({ id: menuItemId(root, labelName), parentId: root, title: labelName.replace(/&/g, '&&'), contexts: contexts });
+            });
+            if (labelNames.length > 0) createMenu({ id: root + '|separator', parentId: root, type: 'separator', contexts: contexts });
+            createMenu({ id: menuItemId(root, null), parentId: root, title: 'New label…', contexts: contexts });
+        });
+    }
+
+    // Rebuilds are queued so two quick index changes can't interleave removeAll and create
+    function scheduleMenuRebuild(force) {
+        rebuildChain = rebuildChain.then(() => buildMenus(force)).catch((e) => console.log('Google Docs Labels: Could not build context menus', e));
+    }
+
+    // The service worker has no UI of its own, so the name is asked for in the tab that was clicked
+    // (the context menu click grants activeTab for it). Returns null if cancelled or not possible.
+    async function promptForLabel(tab) {
+        if (!tab || tab.id === undefined) return null;
+        try {
+            const results = await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: () => window.prompt('New label')
+            });
+            const value = results && results[0] ? results[0].result : null;
+            return typeof value === 'string' && value.trim() ? value.trim() : null;
+        } catch (e) {
+            console.log('Google Docs Labels: Could not ask for a label name in this tab', e);
+            return null;
+        }
+    }
+
+    async function onMenuClicked(info, tab) {
+        const item = parseMenuItemId(info.menuItemId);
+        if (!item) return;
+
+        const url = item.root === MENU_LINK_ROOT ? info.linkUrl : (info.pageUrl || (tab && tab.url));
+        const parsed = parseDocumentUrl(url);
+        if (!parsed) return;
+
+        const labelName = item.label !== null ? item.label : await promptForLabel(tab);
+        if (!labelName) return;
+
+        // Keep a known title; a page we are on can supply its own, a bare link can't
+        const record = await loadDocRecord(parsed.id);
+        let title = record ? record.title : 'Untitled';
+        if (item.root === MENU_PAGE_ROOT && tab && tab.title && (!record || record.title === 'Untitled')) title = stripEditorTitleSuffix(tab.title) || title;
+
+        await setLabelsOnDocs([{ id: parsed.id, title: title, type: parsed.type }], [labelName], []);
+
+        // Let an open sidebar for this tab pick the change up right away
+        if (tab && tab.id !== undefined) chrome.tabs.sendMessage(tab.id, { type: 'gd-labels-changed', docId: parsed.id }, () => { void chrome.runtime.lastError; });
+    }
+
+    // -----------------------------
+    // Keyboard shortcuts
+    // -----------------------------
+
+    function sendToTab(tabId, message) {
+        return new Promise((resolve) => {
+            chrome.tabs.sendMessage(tabId, message, () => resolve(!chrome.runtime.lastError));
+        });
+    }
+
+    // The palette lives in the editor tab's content script; the overview lives in Drive, so from any
+    // other tab it opens in a new Drive tab.
+    async function onCommand(command, tab) {
+        if (!tab || tab.id === undefined) return;
+        const onDrive = /^https:\/\/drive\.google\.com\//.test(tab.url || '');
+        if (command === 'open-label-palette') {
+            await sendToTab(tab.id, { type: 'gd-open-palette' });
+        } else if (command === 'open-labels-overview') {
+            const delivered = onDrive && await sendToTab(tab.id, { type: 'gd-open-overlay' });
+            if (!delivered) chrome.tabs.create({ url: DRIVE_LABELS_URL });
+        }
+    }
+
+    chrome.commands.onCommand.addListener((command, tab) => {
+        onCommand(command, tab).catch((e) => console.log('Google Docs Labels: Could not run shortcut', e));
+    });
+
+    chrome.runtime.onInstalled.addListener(() => scheduleMenuRebuild(true));
+    chrome.runtime.onStartup.addListener(() => scheduleMenuRebuild(true));
+    // A sync that finds nothing new writes nothing, so its own writes settle after one more round
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' || (areaName === 'local' && Object.keys(changes).some(isSyncedLocalKey))) scheduleSync();
+    });
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !isLabelIndexChange(changes)) return;
+        if (labelCounts) applyIndexChanges(changes);
+        else countsMissedChange = true;
+        scheduleMenuRebuild(false);
+    });
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+        onMenuClicked(info, tab).catch((e) => console.log('Google Docs Labels: Could not add label from context menu', e));
+    });
+    // The reply tells the tab its index task has been applied, or its sync run or scheduled
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (!message) return false;
+        if (message.type === INDEX_TASK_MESSAGE) {
+            runIndexTask(message.task).then(() => sendResponse({ done: true }));
+            return true;
+        }
+        if (message.type === SYNC_MESSAGE) {
+            if (message.now) syncNow().then(() => sendResponse({ done: true }));
+            else { scheduleSync(); sendResponse({ done: true }); }
+            return true;
+        }
+        return false;
+    });
+})();
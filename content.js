@@ -3,310 +3,2200 @@
  * - Adds a Labels section to Google Docs left sidebar
  * - Adds a "Labels" item in Google Drive sidebar that opens an overlay
  *
- * Per-document labels are stored in the page's localStorage (docs.google.com origin).
- * Cross-domain master data + category config are stored in chrome.storage.local.
+ * Storage helpers, URL rules and the per-document store come from label-store.js, which is
+ * injected first and is shared with the background worker.
+ *
+ * Per-document labels, the label index derived from them and the category config all live in
+ * chrome.storage.local so Docs and Drive share one store. Labels saved by older versions in the
+ * docs.google.com localStorage are migrated into it once.
  */
 
 (function() {
     'use strict';
 
-    // -----------------------------
-    // Extension storage (async)
-    // -----------------------------
+    // -----------------------------
+    // Extension storage (async)
+    // -----------------------------
+
+    const LEGACY_PENDING_OPS_KEY = 'gd-pending-label-ops'; // Array<{id,type,from,to}> queued by Drive before the migration
+    const LEGACY_MIGRATED_FLAG = 'gd-label-store-migrated'; // set in docs.google.com localStorage once migrated
+
+    // Storage helpers, URL rules and the per-document store are shared with the background worker (label-store.js)
+    const {
+        EXT_DOC_KEY_PREFIX, EXT_LABEL_NAMES_KEY, EXT_LABEL_DOCS_PREFIX, EXT_DOC_LABELS_PREFIX, EXT_CATEGORY_KEY, EXT_LABEL_META_KEY,
+        storageGet, storageSet, storageGetMany, storageSetMany, storageGetAll, storageRemove, loadCategoryConfig, loadLabelMeta,
+        DRIVE_LABELS_HASH, DRIVE_LABELS_URL,
+        FILE_TYPES, parseDocumentUrl, getDocumentTypeFromUrl, getDocType, getDefaultDocumentUrl, stripEditorTitleSuffix,
+        normalizeDocRecord, loadDocRecord, loadDocRecords, loadAllDocRecords, saveDocRecords,
+        isLabelIndexChange, rebuildLabelIndex, loadLabelDocs, loadMasterData, updateMasterForDocs, setLabelsOnDocs
+    } = GDLabelStore;
+
+    // Syncing runs in the background worker (label-sync.js); tabs only ask for it
+    const { loadSyncSettings, saveSyncSettings, stampCategoryChanges, stampMetaChanges, requestSync, getSyncUsage } = GDLabelSync;
+
+    async function saveCategoryConfig(config) {
+        const previous = await loadCategoryConfig();
+        await storageSet(EXT_CATEGORY_KEY, config);
+        await stampCategoryChanges(previous, config);
+    }
+
+    async function saveLabelMeta(meta) {
+        const previous = await loadLabelMeta();
+        await storageSet(EXT_LABEL_META_KEY, meta);
+        await stampMetaChanges(previous, meta);
+    }
+
+    // -----------------------------
+    // Shared helpers (Docs & Drive)
+    // -----------------------------
+
+    let labels = [];
+    let labelsListContainer = null;
+    let noLabelsMessage = null;
+    let draggedIndex = null;
+    let documentId = null;
+    let documentType = null;
+    let expandedLabels = {};
+    let lastKnownLabelsJson = '';
+    let labelDocs = {};   // label -> documents (from the label index) for this document's labels; refreshed on load, focus and after saves
+    let labelMeta = {};
+    let labelFilterText = '';
+    let labelFilterTimer = null;
+    let sidebarNav = null;
+
+    function isGoogleDrive() {
+        return window.location.hostname === 'drive.google.com';
+    }
+
+    function getDocumentId() {
+        const parsed = parseDocumentUrl(window.location.pathname);
+        return parsed ? parsed.id : null;
+    }
+
+    function getDocumentTitle() {
+        const titleElement = document.querySelector('.docs-title-input') ||
+                            document.querySelector('[data-tooltip="Rename"]') ||
+                            document.querySelector('.docs-title-widget');
+        if (titleElement) {
+            return titleElement.value || titleElement.textContent || 'Untitled';
+        }
+        const pageTitle = stripEditorTitleSuffix(document.title);
+        return pageTitle || 'Untitled';
+    }
+
+    // -----------------------------
+    // Per-document label store
+    // -----------------------------
+
+    // Incrementally update master label data for the current document only.
+    function updateMasterLabelList() {
+        if (!documentId) return Promise.resolve();
+        return updateMasterForDocs({ [documentId]: { labels: labels, title: getDocumentTitle(), type: documentType } });
+    }
+
+    // Applies `transform(labels) -> labels` to every document carrying one of `labelNames` (found
+    // through the label index), then saves and re-indexes the ones that changed.
+    async function rewriteLabelsInStore(labelNames, transform) {
+        const lists = await loadLabelDocs(labelNames);
+        const docIds = [];
+        labelNames.forEach((label) => lists[label].forEach((doc) => { if (!docIds.includes(doc.id)) docIds.push(doc.id); }));
+        const records = await loadDocRecords(docIds);
+        const changed = {};
+        Object.keys(records).forEach((docId) => {
+            const next = transform(records[docId].labels);
+            if (JSON.stringify(next) !== JSON.stringify(records[docId].labels)) {
+                changed[docId] = Object.assign({}, records[docId], { labels: next });
+            }
+        });
+        await saveDocRecords(changed);
+        await updateMasterForDocs(changed);
+        return changed;
+    }
+
+    // One-time move of the gd-labels-* entries older versions kept in docs.google.com localStorage.
+    // Renames/merges that Drive queued for those entries are replayed first; labels already in the
+    // extension store win on order, and the legacy labels are appended after them.
+    async function migrateLegacyLabels() {
+        if (isGoogleDrive()) return;
+        try {
+            if (localStorage.getItem(LEGACY_MIGRATED_FLAG)) return;
+
+            const legacy = {};
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(EXT_DOC_KEY_PREFIX)) continue;
+                const docId = key.slice(EXT_DOC_KEY_PREFIX.length);
+                try {
+                    legacy[docId] = normalizeDocRecord(docId, JSON.parse(localStorage.getItem(key)));
+                } catch (e) {}
+            }
+
+            const ops = await storageGet(LEGACY_PENDING_OPS_KEY, []);
+            (Array.isArray(ops) ? ops : []).forEach((op) => {
+                if (!op) return;
+                const from = op.type === 'merge' ? (op.from || []) : [op.from];
+                Object.keys(legacy).forEach((docId) => {
+                    from.forEach((f) => { legacy[docId].labels = renameInLabelList(legacy[docId].labels, f, op.to); });
+                });
+            });
+
+            const existing = await loadAllDocRecords();
+            const merged = {};
+            Object.keys(legacy).forEach((docId) => {
+                const old = legacy[docId];
+                const current = existing[docId];
+                if (!current) {
+                    merged[docId] = old;
+                    return;
+                }
+                const combined = current.labels.slice();
+                old.labels.forEach((l) => { if (!combined.includes(l)) combined.push(l); });
+                merged[docId] = {
+                    labels: combined,
+                    title: current.title !== 'Untitled' ? current.title : old.title,
+                    type: current.type
+                };
+            });
+
+            await saveDocRecords(merged);
+            await updateMasterForDocs(merged);
+            await storageRemove(LEGACY_PENDING_OPS_KEY);
+            localStorage.setItem(LEGACY_MIGRATED_FLAG, String(Date.now()));
+        } catch (e) {
+            console.log('Google Docs Labels: Could not migrate legacy labels', e);
+        }
+    }
+
+    // -----------------------------
+    // Sync across machines (chrome.storage.sync)
+    // -----------------------------
+
+    function formatTimeAgo(ms) {
+        const seconds = Math.round((Date.now() - ms) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return Math.round(seconds / 60) + ' min ago';
+        if (seconds < 86400) return Math.round(seconds / 3600) + ' h ago';
+        return new Date(ms).toLocaleDateString();
+    }
+
+    function showSyncDialog() {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 360px; max-width: 440px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
+        title.textContent = 'Sync Labels';
+
+        const toggleRow = document.createElement('label');
+        toggleRow.style.cssText = 'display: flex; align-items: flex-start; gap: 8px; font-size: 14px; color: #202124; cursor: pointer;';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.style.cssText = 'margin-top: 3px;';
+        const toggleText = document.createElement('span');
+        toggleText.textContent = 'Sync labels, categories and label colors to every computer signed in to this Chrome profile';
+        toggleRow.appendChild(toggle);
+        toggleRow.appendChild(toggleText);
+
+        const statusMsg = document.createElement('div');
+        statusMsg.style.cssText = 'margin-top: 16px; font-size: 13px; color: #5f6368;';
+
+        const quotaText = document.createElement('div');
+        quotaText.style.cssText = 'margin-top: 12px; font-size: 12px; color: #5f6368;';
+        const quotaBar = document.createElement('div');
+        quotaBar.style.cssText = 'margin-top: 6px; height: 6px; background: #e8eaed; border-radius: 3px; overflow: hidden;';
+        const quotaFill = document.createElement('div');
+        quotaFill.style.cssText = 'height: 100%; width: 0; background: #1a73e8;';
+        quotaBar.appendChild(quotaFill);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const syncNowBtn = document.createElement('button');
+        syncNowBtn.textContent = 'Sync Now';
+        syncNowBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const okBtn = document.createElement('button');
+        okBtn.textContent = 'OK';
+        okBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(syncNowBtn);
+        buttonContainer.appendChild(okBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(toggleRow);
+        dialog.appendChild(statusMsg);
+        dialog.appendChild(quotaText);
+        dialog.appendChild(quotaBar);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        setTimeout(() => okBtn.focus(), 50);
+
+        async function refresh() {
+            const settings = await loadSyncSettings();
+            toggle.checked = !!settings.enabled;
+            syncNowBtn.disabled = !settings.enabled;
+            syncNowBtn.style.opacity = settings.enabled ? '1' : '0.5';
+
+            if (!settings.enabled) {
+                statusMsg.style.color = '#5f6368';
+                statusMsg.textContent = 'Sync is off. Labels stay on this computer.';
+            } else if (settings.lastError) {
+                statusMsg.style.color = '#c5221f';
+                statusMsg.textContent = 'Sync error: ' + settings.lastError;
+            } else {
+                statusMsg.style.color = '#137333';
+                statusMsg.textContent = settings.lastSyncedAt ? 'Last synced ' + formatTimeAgo(settings.lastSyncedAt) + '.' : 'Waiting for first sync…';
+            }
+
+            try {
+                const usage = await getSyncUsage();
+                const pct = Math.min(100, Math.round((usage.bytes / usage.quotaBytes) * 100));
+                quotaText.textContent = 'Chrome sync storage: ' + (usage.bytes / 1024).toFixed(1) + ' KB of ' +
+                    Math.round(usage.quotaBytes / 1024) + ' KB (' + pct + '%), ' + usage.items + ' of ' + usage.maxItems + ' items';
+                quotaFill.style.width = pct + '%';
+                quotaFill.style.background = pct >= 90 ? '#d93025' : (pct >= 70 ? '#f9ab00' : '#1a73e8');
+            } catch (e) {
+                quotaText.textContent = 'Chrome sync storage usage is unavailable.';
+            }
+        }
+
+        toggle.addEventListener('change', async () => {
+            await saveSyncSettings({ enabled: toggle.checked, lastError: null });
+            if (toggle.checked) await requestSync(true);
+            await refresh();
+        });
+        syncNowBtn.addEventListener('click', async () => {
+            syncNowBtn.textContent = 'Syncing…';
+            await requestSync(true);
+            syncNowBtn.textContent = 'Sync Now';
+            await refresh();
+        });
+
+        const closeDialog = () => overlay.remove();
+        okBtn.addEventListener('click', closeDialog);
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+
+        void refresh();
+    }
+
+    // -----------------------------
+    // Hierarchical label paths
+    // -----------------------------
+
+    const LABEL_PATH_SEPARATOR = '/';
+
+    // "Clients/Acme/Contracts" -> ["Clients", "Acme", "Contracts"]. Names with an empty segment
+    // (leading, trailing or doubled separator) are treated as flat so every label keeps a distinct path.
+    function splitLabelPath(labelName) {
+        const parts = String(labelName).split(LABEL_PATH_SEPARATOR);
+        return parts.some((p) => p.trim() === '') ? [String(labelName)] : parts;
+    }
+
+    // Builds a tree of { name, path, label, children } sorted by name.
+    // `label` is the label name when a label exists at exactly that path, otherwise null.
+    function buildLabelTree(labelNames) {
+        const root = { name: '', path: '', label: null, children: [] };
+        labelNames.forEach((labelName) => {
+            let node = root;
+            splitLabelPath(labelName).forEach((part) => {
+                let child = node.children.find((c) => c.name === part);
+                if (!child) {
+                    child = { name: part, path: node.path ? node.path + LABEL_PATH_SEPARATOR + part : part, label: null, children: [] };
+                    node.children.push(child);
+                }
+                node = child;
+            });
+            node.label = labelName;
+        });
+
+        (function sortChildren(node) {
+            node.children.sort((a, b) => a.name.localeCompare(b.name));
+            node.children.forEach(sortChildren);
+        })(root);
+        return root;
+    }
+
+    function collectTreeLabels(node) {
+        const result = node.label ? [node.label] : [];
+        node.children.forEach((child) => { result.push(...collectTreeLabels(child)); });
+        return result;
+    }
+
+    // Renders a label path compactly: ancestors small and grey, the leaf in normal text.
+    function renderLabelPath(container, labelName, highlightQuery) {
+        const parts = splitLabelPath(labelName);
+        container.title = labelName;
+        if (parts.length > 1) {
+            const ancestors = document.createElement('span');
+            ancestors.style.cssText = 'color: #80868b; font-size: 11px;';
+            appendHighlightedText(ancestors, parts.slice(0, -1).map((p) => p.trim()).join(' › ') + ' › ', highlightQuery);
+            container.appendChild(ancestors);
+        }
+        const leaf = document.createElement('span');
+        appendHighlightedText(leaf, parts[parts.length - 1].trim(), highlightQuery);
+        container.appendChild(leaf);
+    }
+
+    // -----------------------------
+    // Label metadata (color, description, icon)
+    // -----------------------------
+
+    const LABEL_COLORS = ['#1a73e8', '#188038', '#f9ab00', '#d93025', '#9334e6', '#e8710a', '#12b5cb', '#e52592', '#5f6368'];
+
+    // Keeps only the fields we know how to render, so imported metadata cannot inject anything else.
+    function sanitizeLabelMeta(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const meta = {};
+        if (typeof raw.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(raw.color)) meta.color = raw.color.toLowerCase();
+        if (typeof raw.description === 'string' && raw.description.trim()) meta.description = raw.description.trim().slice(0, 200);
+        if (typeof raw.icon === 'string' && raw.icon.trim()) meta.icon = Array.from(raw.icon.trim()).slice(0, 2).join('');
+        return Object.keys(meta).length > 0 ? meta : null;
+    }
+
+    // Returns a chip element for a label; `text` is what to show (e.g. just the leaf of a path).
+    function createLabelChip(labelName, meta, text, highlightQuery) {
+        const chip = document.createElement('span');
+        const color = meta && meta.color;
+        chip.style.cssText = 'display: inline-flex; align-items: center; gap: 4px; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; vertical-align: middle;' +
+            (color ? ' padding: 1px 8px; border-radius: 10px; border: 1px solid ' + color + '; background: ' + color + '1f;' : '');
+        chip.title = (meta && meta.description) ? labelName + ' — ' + meta.description : labelName;
+
+        if (meta && meta.icon) {
+            const icon = document.createElement('span');
+            icon.textContent = meta.icon;
+            chip.appendChild(icon);
+        }
+
+        const textEl = document.createElement('span');
+        textEl.style.cssText = 'overflow: hidden; text-overflow: ellipsis;';
+        if (text === undefined) renderLabelPath(textEl, labelName, highlightQuery);
+        else appendHighlightedText(textEl, text, highlightQuery);
+        textEl.removeAttribute('title');
+        chip.appendChild(textEl);
+        return chip;
+    }
+
+    function renameInLabelMeta(meta, from, to) {
+        if (meta[from] && !meta[to]) meta[to] = meta[from];
+        delete meta[from];
+    }
+
+    function showLabelMetaDialog(labelName, onSaved) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 340px; max-width: 420px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        title.textContent = 'Edit Label: ' + labelName;
+
+        const fieldLabelStyle = 'font-size: 12px; color: #5f6368; margin: 12px 0 6px;';
+        const inputStyle = 'width: 100%; padding: 8px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 14px; box-sizing: border-box; outline: none;';
+
+        const colorLabel = document.createElement('div');
+        colorLabel.style.cssText = fieldLabelStyle;
+        colorLabel.textContent = 'Color';
+
+        const swatches = document.createElement('div');
+        swatches.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+
+        const iconLabel = document.createElement('div');
+        iconLabel.style.cssText = fieldLabelStyle;
+        iconLabel.textContent = 'Icon (emoji, optional)';
+
+        const iconInput = document.createElement('input');
+        iconInput.type = 'text';
+        iconInput.placeholder = 'e.g. 📁';
+        iconInput.style.cssText = inputStyle + ' width: 80px;';
+
+        const descLabel = document.createElement('div');
+        descLabel.style.cssText = fieldLabelStyle;
+        descLabel.textContent = 'Description';
+
+        const descInput = document.createElement('input');
+        descInput.type = 'text';
+        descInput.maxLength = 200;
+        descInput.placeholder = 'Shown as a tooltip';
+        descInput.style.cssText = inputStyle;
+
+        const preview = document.createElement('div');
+        preview.style.cssText = 'margin-top: 16px; font-size: 13px; color: #202124;';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(saveBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(colorLabel);
+        dialog.appendChild(swatches);
+        dialog.appendChild(iconLabel);
+        dialog.appendChild(iconInput);
+        dialog.appendChild(descLabel);
+        dialog.appendChild(descInput);
+        dialog.appendChild(preview);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        setTimeout(() => descInput.focus(), 50);
+
+        let selectedColor = null;
+
+        function currentMeta() {
+            return sanitizeLabelMeta({ color: selectedColor, icon: iconInput.value, description: descInput.value });
+        }
+
+        function updatePreview() {
+            while (preview.firstChild) preview.removeChild(preview.firstChild);
+            preview.appendChild(createLabelChip(labelName, currentMeta()));
+            Array.from(swatches.children).forEach((sw) => {
+                sw.style.boxShadow = (sw.dataset.color || null) === selectedColor ? '0 0 0 2px #fff, 0 0 0 4px #202124' : 'none';
+            });
+        }
+
+        [null].concat(LABEL_COLORS).forEach((color) => {
+            const sw = document.createElement('button');
+            sw.title = color || 'No color';
+            sw.style.cssText = 'width: 22px; height: 22px; border-radius: 50%; cursor: pointer; padding: 0; ' +
+                (color ? 'border: none; background: ' + color + ';' : 'border: 1px solid #dadce0; background: #fff; color: #5f6368; font-size: 12px; line-height: 1;');
+            if (color) sw.dataset.color = color;
+            else sw.textContent = '∅';
+            sw.addEventListener('click', () => { selectedColor = color; updatePreview(); });
+            swatches.appendChild(sw);
+        });
+
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+        iconInput.addEventListener('input', updatePreview);
+        descInput.addEventListener('input', updatePreview);
+
+        saveBtn.addEventListener('click', async () => {
+            const meta = await loadLabelMeta();
+            const updated = currentMeta();
+            if (updated) meta[labelName] = updated;
+            else delete meta[labelName];
+            await saveLabelMeta(meta);
+            closeDialog();
+            if (onSaved) onSaved(updated);
+        });
+
+        void loadLabelMeta().then((meta) => {
+            const existing = meta[labelName] || {};
+            selectedColor = existing.color || null;
+            iconInput.value = existing.icon || '';
+            descInput.value = existing.description || '';
+            updatePreview();
+        });
+    }
+
+    // -----------------------------
+    // Fuzzy filtering + keyboard navigation
+    // -----------------------------
+
+    // The sidebar filter looks up every label's documents, so it waits for a pause in typing
+    const FILTER_SETTLE_MS = 150;
+
+    // Case-insensitive subsequence match. Returns { score, indices } or null. Whole substrings score
+    // highest, then runs of consecutive characters and characters at the start of a word.
+    function fuzzyMatch(query, text) {
+        const q = String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        if (!q) return { score: 0, indices: [] };
+        const t = String(text || '').toLowerCase();
+
+        const substringAt = t.indexOf(q);
+        if (substringAt !== -1) {
+            const indices = [];
+            for (let i = 0; i < q.length; i++) indices.push(substringAt + i);
+            return { score: 100 + q.length * 4 - substringAt, indices: indices };
+        }
+
+        const chars = q.replace(/ /g, '');
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (let i = 0; i < chars.length; i++) {
+            const idx = t.indexOf(chars[i], from);
+            if (idx === -1) return null;
+            score += 1;
+            if (indices.length > 0 && idx === indices[indices.length - 1] + 1) score += 3;
+            if (idx === 0 || /[\s\/_\-.]/.test(t[idx - 1])) score += 2;
+            indices.push(idx);
+            from = idx + 1;
+        }
+        return { score: score - (indices[indices.length - 1] - indices[0]) * 0.1, indices: indices };
+    }
+
+    // Appends `text` to `container`, wrapping the characters matched by `query` in highlight spans.
+    function appendHighlightedText(container, text, query) {
+        const match = query ? fuzzyMatch(query, text) : null;
+        if (!match || match.indices.length === 0) {
+            container.appendChild(document.createTextNode(text));
+            return;
+        }
+        const hits = new Set(match.indices);
+        let i = 0;
+        while (i < text.length) {
+            const hit = hits.has(i);
+            let j = i;
+            while (j < text.length && hits.has(j) === hit) j++;
+            if (hit) {
+                const mark = document.createElement('span');
+                mark.style.cssText = 'background: #fde293; border-radius: 2px; font-weight: 600;';
+                mark.textContent = text.slice(i, j);
+                container.appendChild(mark);
+            } else {
+                container.appendChild(document.createTextNode(text.slice(i, j)));
+            }
+            i = j;
+        }
+    }
+
+    // Elements marked with data-gd-nav take part in arrow-key navigation; this maps them to what Enter does.
+    const navActions = new WeakMap();
+
+    function registerNavItem(el, activate) {
+        el.dataset.gdNav = 'true';
+        navActions.set(el, activate);
+    }
+
+    // Arrow-key / Enter navigation over the visible [data-gd-nav] elements inside `root`. The cursor
+    // follows its element while it stays in the DOM, so rows added or dropped above it (the Drive
+    // overlay mounts rows as it scrolls) don't shift it.
+    function createKeyboardNav(root) {
+        let index = -1;
+        let current = null;
+
+        function items() {
+            return Array.from(root.querySelectorAll('[data-gd-nav]')).filter((el) => el.offsetParent !== null);
+        }
+
+        function locate(list) {
+            const position = current ? list.indexOf(current) : -1;
+            if (position >= 0) index = position;
+        }
+
+        function highlight(list) {
+            list.forEach((el, i) => { el.style.outline = i === index ? '2px solid #1a73e8' : ''; el.style.outlineOffset = '-2px'; });
+            current = list[index] || null;
+            if (current) current.scrollIntoView({ block: 'nearest' });
+        }
+
+        return {
+            reset() { index = -1; current = null; },
+            move(delta) {
+                const list = items();
+                if (list.length === 0) return;
+                locate(list);
+                index = index < 0 ? (delta > 0 ? 0 : list.length - 1) : Math.max(0, Math.min(list.length - 1, index + delta));
+                highlight(list);
+            },
+            activate() {
+                const list = items();
+                locate(list);
+                const el = list[index < 0 ? 0 : index];
+                const action = el && navActions.get(el);
+                if (action) action();
+                // Activation may re-render; keep the cursor on the same position
+                highlight(items());
+            },
+            // Re-apply the cursor after the container was re-rendered
+            refresh() { highlight(items()); }
+        };
+    }
+
+    // Wires an input to a keyboard nav: arrows move, Enter activates.
+    function attachKeyboardNav(input, nav) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') { e.preventDefault(); nav.move(1); }
+            else if (e.key === 'ArrowUp') { e.preventDefault(); nav.move(-1); }
+            else if (e.key === 'Enter') { e.preventDefault(); nav.activate(); }
+        });
+    }
+
+    // -----------------------------
+    // Boolean label queries
+    // -----------------------------
+    //
+    //   query   := or
+    //   or      := and ( OR and )*
+    //   and     := not ( AND not )*
+    //   not     := NOT not | primary
+    //   primary := "(" or ")" | label
+    //
+    // Labels are bare words or "double quoted" (use \" for a literal quote). Keywords are case-insensitive.
+
+    function labelQueryError(message, token) {
+        const err = new Error(message);
+        err.start = token.start;
+        err.end = token.end;
+        return err;
+    }
+
+    function tokenizeLabelQuery(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) { i++; continue; }
+            if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', value: ch, start: i, end: i + 1 });
+                i++;
+                continue;
+            }
+            if (ch === '"') {
+                const start = i;
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && i + 1 < text.length) i++;
+                    value += text[i];
+                    i++;
+                }
+                if (i >= text.length) throw labelQueryError('Unterminated quoted label', { start: start, end: text.length });
+                i++;
+                tokens.push({ type: 'label', value: value, start: start, end: i });
+                continue;
+            }
+            const start = i;
+            while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+            const word = text.slice(start, i);
+            const keyword = word.toUpperCase();
+            if (keyword === 'AND' || keyword === 'OR' || keyword === 'NOT') {
+                tokens.push({ type: keyword.toLowerCase(), value: word, start: start, end: i });
+            } else {
+                tokens.push({ type: 'label', value: word, start: start, end: i });
+            }
+        }
+        return tokens;
+    }
+
+    // Returns { ast } or { error: { message, start, end } }. `resolveLabel` maps a typed name to a
+    // known label (or null), so unknown labels are reported at the token that named them.
+    function parseLabelQuery(text, resolveLabel) {
+        try {
+            const tokens = tokenizeLabelQuery(text);
+            const endToken = { type: 'end', value: '', start: text.length, end: text.length };
+            let pos = 0;
+
+            const peek = () => tokens[pos] || endToken;
+            const describe = (t) => (t.type === 'end' ? 'end of query' : '"' + t.value + '"');
+
+            function parseOr() {
+                let node = parseAnd();
+                while (peek().type === 'or') {
+                    pos++;
+                    node = { op: 'or', left: node, right: parseAnd() };
+                }
+                return node;
+            }
+
+            function parseAnd() {
+                let node = parseNot();
+                while (peek().type === 'and') {
+                    pos++;
+                    node = { op: 'and', left: node, right: parseNot() };
+                }
+                return node;
+            }
+
+            function parseNot() {
+                if (peek().type === 'not') {
+                    pos++;
+                    return { op: 'not', operand: parseNot() };
+                }
+                return parsePrimary();
+            }
+
+            function parsePrimary() {
+                const t = peek();
+                if (t.type === 'lparen') {
+                    pos++;
+                    const node = parseOr();
+                    if (peek().type !== 'rparen') throw labelQueryError('Expected ")" but found ' + describe(peek()), peek());
+                    pos++;
+                    return node;
+                }
+                if (t.type === 'label') {
+                    pos++;
+                    const label = resolveLabel ? resolveLabel(t.value) : t.value;
+                    if (label === null || label === undefined) throw labelQueryError('Unknown label "' + t.value + '"', t);
+                    return { op: 'label', label: label };
+                }
+                throw labelQueryError('Expected a label but found ' + describe(t), t);
+            }
+
+            if (tokens.length === 0) return { ast: null };
+            const ast = parseOr();
+            if (pos < tokens.length) {
+                const t = peek();
+                const hint = t.type === 'label' || t.type === 'lparen' ? ' (missing AND/OR?)' : '';
+                throw labelQueryError('Unexpected ' + describe(t) + hint, t);
+            }
+            return { ast: ast };
+        } catch (e) {
+            return { error: { message: e.message, start: e.start || 0, end: e.end || text.length } };
+        }
+    }
+
+    function evaluateLabelQuery(ast, docLabels) {
+        switch (ast.op) {
+            case 'label': return docLabels.includes(ast.label);
+            case 'not': return !evaluateLabelQuery(ast.operand, docLabels);
+            case 'and': return evaluateLabelQuery(ast.left, docLabels) && evaluateLabelQuery(ast.right, docLabels);
+            case 'or': return evaluateLabelQuery(ast.left, docLabels) || evaluateLabelQuery(ast.right, docLabels);
+            default: return false;
+        }
+    }
+
+    // Quotes a label name so it can be dropped into a query as a single term.
+    function quoteQueryLabel(labelName) {
+        return '"' + labelName.replace(/[\\"]/g, '\\$&') + '"';
+    }
+
+    // Inverts master data ({ label: docs[] }) into one entry per document with its full label set.
+    function getDocumentsWithLabels(master) {
+        const byId = {};
+        Object.keys(master).sort().forEach((labelName) => {
+            (master[labelName] || []).forEach((doc) => {
+                if (!doc || !doc.id) return;
+                if (!byId[doc.id]) byId[doc.id] = { id: doc.id, title: doc.title, url: doc.url, type: getDocType(doc), labels: [] };
+                byId[doc.id].labels.push(labelName);
+            });
+        });
+        return Object.keys(byId).map((id) => byId[id]).sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    }
+
+    // -----------------------------
+    // Label operations (Docs & Drive)
+    // -----------------------------
+
+    // Replace `from` with `to` in a label list, keeping its position and dropping any duplicate this creates.
+    function renameInLabelList(list, from, to) {
+        const result = [];
+        list.forEach((l) => {
+            const name = l === from ? to : l;
+            if (!result.includes(name)) result.push(name);
+        });
+        return result;
+    }
+
+    function renameInCategoryConfig(config, from, to) {
+        if (config.assignments[from] && !config.assignments[to]) config.assignments[to] = config.assignments[from];
+        delete config.assignments[from];
+    }
+
+    // Renames a label on every document, in the label index and in the category assignments.
+    async function renameLabel(from, to) {
+        if (!from || !to || from === to) return;
+
+        const config = await loadCategoryConfig();
+        renameInCategoryConfig(config, from, to);
+        await saveCategoryConfig(config);
+
+        const meta = await loadLabelMeta();
+        renameInLabelMeta(meta, from, to);
+        await saveLabelMeta(meta);
+
+        await rewriteLabelsInStore([from], (list) => renameInLabelList(list, from, to));
+    }
+
+    // Folds every label in `sources` into `target`. Each document ends up with `target` exactly once,
+    // in the position of whichever of the merged labels it had first; `target` keeps its own category and metadata.
+    async function mergeLabels(sources, target) {
+        const from = sources.filter((l) => l && l !== target);
+        if (!target || from.length === 0) return;
+
+        const config = await loadCategoryConfig();
+        from.forEach((l) => { delete config.assignments[l]; });
+        await saveCategoryConfig(config);
+
+        const meta = await loadLabelMeta();
+        from.forEach((l) => { delete meta[l]; });
+        await saveLabelMeta(meta);
+
+        await rewriteLabelsInStore(from, (list) => from.reduce((acc, l) => renameInLabelList(acc, l, target), list));
+    }
+
+    // Moves one document from `from` to `to`, keeping the label's position in that document's order.
+    async function moveDocToLabel(doc, from, to) {
+        const record = (await loadDocRecord(doc.id)) || normalizeDocRecord(doc.id, doc);
+        const next = renameInLabelList(record.labels, from, to);
+        const changed = { [doc.id]: Object.assign({}, record, { labels: next }) };
+        await saveDocRecords(changed);
+        await updateMasterForDocs(changed);
+    }
+
+    // Takes a label off every document and drops its category assignment and metadata.
+    async function removeLabelFromAllDocs(labelName) {
+        const config = await loadCategoryConfig();
+        if (config.assignments[labelName]) {
+            delete config.assignments[labelName];
+            await saveCategoryConfig(config);
+        }
+
+        const meta = await loadLabelMeta();
+        if (meta[labelName]) {
+            delete meta[labelName];
+            await saveLabelMeta(meta);
+        }
+
+        await rewriteLabelsInStore([labelName], (list) => list.filter((l) => l !== labelName));
+    }
+
+    function showMergeLabelsDialog(labelNames, onMerged) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 320px; max-width: 520px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
+        title.textContent = 'Merge ' + labelNames.length + ' Labels';
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'margin-bottom: 12px; font-size: 13px; color: #5f6368;';
+        hint.textContent = 'Choose the label to keep. Every document with any of these labels will get it, and it keeps its own category, color and description.';
+
+        const optionList = document.createElement('div');
+        optionList.style.cssText = 'max-height: 240px; overflow-y: auto;';
+
+        const radioName = 'gd-merge-primary';
+        labelNames.forEach((labelName, index) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 4px; font-size: 14px; color: #202124; cursor: pointer;';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = radioName;
+            radio.value = labelName;
+            radio.checked = index === 0;
+            const text = document.createElement('span');
+            text.textContent = labelName;
+            row.appendChild(radio);
+            row.appendChild(text);
+            optionList.appendChild(row);
+        });
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const mergeBtn = document.createElement('button');
+        mergeBtn.textContent = 'Merge';
+        mergeBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(mergeBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(hint);
+        dialog.appendChild(optionList);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        setTimeout(() => {
+            const checked = optionList.querySelector('input[name="' + radioName + '"]:checked');
+            if (checked) checked.focus();
+        }, 50);
+
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+
+        mergeBtn.addEventListener('click', async () => {
+            const checked = optionList.querySelector('input[name="' + radioName + '"]:checked');
+            if (!checked) return;
+            const target = checked.value;
+            const refresh = onMerged ? () => onMerged(target) : null;
+            await runUndoable('Merged ' + labelNames.length + ' labels into "' + target + '"', { labels: labelNames, categories: true, meta: true },
+                () => mergeLabels(labelNames, target), refresh);
+            closeDialog();
+            if (refresh) refresh();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    }
+
+    function showMoveDocDialog(doc, fromLabel, onMoved) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 300px; max-width: 480px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
+        title.textContent = 'Move to Another Label';
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'margin-bottom: 12px; font-size: 13px; color: #5f6368;';
+        hint.textContent = '"' + (doc.title || 'Untitled') + '" will lose "' + fromLabel + '" and get the label you enter instead.';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Label name';
+        input.style.cssText = 'width: 100%; padding: 10px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 14px; box-sizing: border-box; outline: none;';
+
+        // Suggest the labels that already exist
+        const suggestions = document.createElement('datalist');
+        suggestions.id = 'gd-move-label-suggestions';
+        input.setAttribute('list', suggestions.id);
+        void loadMasterData().then((master) => {
+            Object.keys(master).sort().filter((l) => l !== fromLabel).forEach((l) => {
+                const option = document.createElement('option');
+                option.value = l;
+                suggestions.appendChild(option);
+            });
+        });
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const moveBtn = document.createElement('button');
+        moveBtn.textContent = 'Move';
+        moveBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(moveBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(hint);
+        dialog.appendChild(input);
+        dialog.appendChild(suggestions);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        setTimeout(() => input.focus(), 100);
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+
+        async function doMove() {
+            const target = (input.value || '').trim();
+            if (!target || target === fromLabel) { closeDialog(); return; }
+            await moveDocToLabel(doc, fromLabel, target);
+            closeDialog();
+            if (onMoved) onMoved(target);
+        }
+
+        moveBtn.addEventListener('click', () => { void doMove(); });
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') void doMove();
+            else if (e.key === 'Escape') closeDialog();
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    }
+
+    function showRemoveLabelDialog(labelName, docCount, onRemoved) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 300px; max-width: 440px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
+        title.textContent = 'Remove "' + labelName + '"?';
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'font-size: 14px; color: #5f6368;';
+        hint.textContent = 'The label will be removed from ' + docCount + (docCount === 1 ? ' document' : ' documents') + ', along with its category, color and description.';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.style.cssText = 'padding: 8px 16px; border: none; background: #d93025; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(removeBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(hint);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        setTimeout(() => removeBtn.focus(), 50);
+
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+        removeBtn.addEventListener('click', async () => {
+            await runUndoable('Removed "' + labelName + '" from every document', { labels: [labelName], categories: true, meta: true },
+                () => removeLabelFromAllDocs(labelName), onRemoved);
+            closeDialog();
+            if (onRemoved) onRemoved();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    }
+
+    function showRenameLabelDialog(labelName, onRenamed) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 300px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
+        title.textContent = 'Rename Label';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = labelName;
+        input.style.cssText = 'width: 100%; padding: 10px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 14px; box-sizing: border-box; outline: none;';
+
+        const errorMsg = document.createElement('div');
+        errorMsg.style.cssText = 'margin-top: 8px; font-size: 12px; color: #c5221f; display: none;';
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'margin-top: 8px; font-size: 12px; color: #5f6368;';
+        hint.textContent = 'The label will be renamed on every document that uses it.';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const renameBtn = document.createElement('button');
+        renameBtn.textContent = 'Rename';
+        renameBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(renameBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(input);
+        dialog.appendChild(errorMsg);
+        dialog.appendChild(hint);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        setTimeout(() => { input.focus(); input.select(); }, 100);
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+
+        async function doRename() {
+            const newName = (input.value || '').trim();
+            if (!newName || newName === labelName) { closeDialog(); return; }
+
+            const master = await loadMasterData();
+            if (master[newName] || labels.includes(newName)) {
+                errorMsg.textContent = 'A label named "' + newName + '" already exists. Use Merge in the Drive Labels view to combine them.';
+                errorMsg.style.display = 'block';
+                return;
+            }
+
+            await renameLabel(labelName, newName);
+            closeDialog();
+            if (onRenamed) onRenamed(newName);
+        }
+
+        renameBtn.addEventListener('click', () => { void doRename(); });
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') void doRename();
+            else if (e.key === 'Escape') closeDialog();
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    }
+
+    // -----------------------------
+    // Undo
+    // -----------------------------
+
+    // Destructive actions snapshot what they may change before and after running: the affected
+    // document records and, where touched, the category config and label metadata. Undoing reverts
+    // only the difference between the two, so edits made since (here or, via sync and live updates,
+    // in another tab) survive: documents get back the labels the action took off and lose the ones it
+    // put on, and a category assignment or metadata entry is restored only while it still holds what
+    // the action wrote. History is per tab and undone newest first.
+    const UNDO_HISTORY_LIMIT = 20;
+    const UNDO_SNACKBAR_MS = 8000;
+    const undoHistory = []; // { description, before, after, onUndone }
+    let undoSnackbarTimer = null;
+
+    // `scope` is { docIds, labels, categories, meta, keys }: documents by ID, every document carrying
+    // one of `labels`, whether the category config and metadata are snapshotted too, and raw storage
+    // keys (ones too broken to load as documents) to put back if the action deletes them.
+    async function captureUndoState(scope) {
+        const docIds = (scope.docIds || []).slice();
+        if (scope.labels && scope.labels.length > 0) {
+            const lists = await loadLabelDocs(scope.labels);
+            scope.labels.forEach((label) => lists[label].forEach((doc) => { if (!docIds.includes(doc.id)) docIds.push(doc.id); }));
+        }
+        const records = await loadDocRecords(docIds);
+        const docs = {};
+        docIds.forEach((docId) => { docs[docId] = records[docId] || null; });
+        const keys = scope.keys || [];
+        return {
+            docs: docs,
+            categories: scope.categories ? await loadCategoryConfig() : null,
+            meta: scope.meta ? await loadLabelMeta() : null,
+            raw: await readRawKeys(keys)
+        };
+    }
+
+    // Missing keys read as null.
+    function readRawKeys(keys) {
+        const defaults = {};
+        keys.forEach((key) => { defaults[key] = null; });
+        return keys.length > 0 ? storageGetMany(defaults) : Promise.resolve({});
+    }
+
+    // Turns `current` back into `before` when nothing changed it since the action left it as `after`.
+    // Otherwise takes the labels the action added off it, puts back the ones it removed, and returns
+    // the labels `before` had to their old relative order; labels added since keep their places.
+    function revertLabelChange(current, before, after) {
+        if (JSON.stringify(current) === JSON.stringify(after)) return before.slice();
+        const labels = current.filter((l) => before.includes(l) || !after.includes(l));
+        before.forEach((label, i) => {
+            if (!after.includes(label) && !labels.includes(label)) labels.splice(Math.min(i, labels.length), 0, label);
+        });
+        const ordered = before.filter((l) => labels.includes(l));
+        return labels.map((l) => (before.includes(l) ? ordered.shift() : l));
+    }
+
+    // Sets each key of `current` that still equals `after` back to `before` (deleting it if `before`
+    // has none). Returns how many changed keys were left alone because they were edited since.
+    function revertKeyedChange(current, before, after) {
+        let conflicts = 0;
+        const keys = new Set(Object.keys(before).concat(Object.keys(after)));
+        keys.forEach((key) => {
+            const was = JSON.stringify(before[key]);
+            const wrote = JSON.stringify(after[key]);
+            if (was === wrote) return;
+            if (JSON.stringify(current[key]) !== wrote) { conflicts++; return; }
+            if (key in before) current[key] = before[key];
+            else delete current[key];
+        });
+        return conflicts;
+    }
+
+    // Restored records get a fresh updatedAt so sync carries the undo to other machines. A document
+    // the action created is emptied rather than deleted, so a sync pull can't bring its labels back.
+    // Returns how many category or metadata entries were kept because they changed after the action.
+    async function restoreUndoState(before, after) {
+        const docIds = Object.keys(before.docs).filter((docId) => JSON.stringify(before.docs[docId]) !== JSON.stringify(after.docs[docId]));
+        const current = await loadDocRecords(docIds);
+        const records = {};
+        docIds.forEach((docId) => {
+            const was = before.docs[docId];
+            const record = current[docId] || was;
+            if (!record) return;
+            const labels = revertLabelChange(current[docId] ? current[docId].labels : [], was ? was.labels : [], after.docs[docId] ? after.docs[docId].labels : []);
+            records[docId] = Object.assign({}, record, { labels: labels });
+        });
+        await saveDocRecords(records);
+        await updateMasterForDocs(records);
+
+        const deletedKeys = Object.keys(before.raw).filter((key) => before.raw[key] !== null && after.raw[key] === null);
+        if (deletedKeys.length > 0) {
+            const now = await readRawKeys(deletedKeys);
+            const items = {};
+            deletedKeys.forEach((key) => { if (now[key] === null) items[key] = before.raw[key]; });
+            if (Object.keys(items).length > 0) await storageSetMany(items);
+        }
+
+        let conflicts = 0;
+        if (before.categories) {
+            const config = await loadCategoryConfig();
+            conflicts += revertKeyedChange(config.assignments, before.categories.assignments, after.categories.assignments);
+            config.categoryOrder = revertLabelChange(config.categoryOrder, before.categories.categoryOrder, after.categories.categoryOrder);
+            await saveCategoryConfig(config);
+        }
+        if (before.meta) {
+            const meta = await loadLabelMeta();
+            conflicts += revertKeyedChange(meta, before.meta, after.meta);
+            await saveLabelMeta(meta);
+        }
+        return conflicts;
+    }
+
+    // Runs `action` and offers to undo it from a snackbar. `onUndone` refreshes whatever UI showed the
+    // change (the Docs Labels section is always refreshed). Returns what `action` returns.
+    async function runUndoable(description, scope, action, onUndone) {
+        const before = await captureUndoState(scope);
+        const result = await action();
+        const after = await captureUndoState({ docIds: Object.keys(before.docs), categories: scope.categories, meta: scope.meta, keys: scope.keys });
+        const entry = { description: description, before: before, after: after, onUndone: onUndone || null };
+        undoHistory.push(entry);
+        if (undoHistory.length > UNDO_HISTORY_LIMIT) undoHistory.shift();
+        showUndoSnackbar(description, entry);
+        return result;
+    }
+
+    // Undoes `entry` and, first, everything recorded after it, since those may have built on it.
+    async function undoOperation(entry) {
+        const index = undoHistory.indexOf(entry);
+        if (index < 0) return;
+        const undone = undoHistory.splice(index);
+        const callbacks = [];
+        let conflicts = 0;
+        try {
+            for (const item of undone.reverse()) {
+                conflicts += await restoreUndoState(item.before, item.after);
+                if (item.onUndone && !callbacks.includes(item.onUndone)) callbacks.push(item.onUndone);
+            }
+            labelMeta = await loadLabelMeta();
+            await loadLabels();
+            await refreshLabelDocs();
+            updateLabelsDisplay();
+            for (const callback of callbacks) await callback();
+            const message = undone.length > 1 ? 'Undid ' + undone.length + ' changes' : 'Undid: ' + entry.description;
+            showUndoSnackbar(conflicts > 0 ? message + ' (kept ' + conflicts + ' setting' + (conflicts === 1 ? '' : 's') + ' changed since)' : message, null);
+        } catch (e) {
+            console.log('Google Docs Labels: Could not undo', e);
+            showUndoSnackbar('Could not undo: ' + entry.description, null);
+        }
+    }
+
+    // Bottom-left snackbar; with an `entry` it has an Undo button. A newer message replaces it.
+    function showUndoSnackbar(message, entry) {
+        const existing = document.querySelector('#gd-label-snackbar');
+        if (existing) existing.remove();
+        clearTimeout(undoSnackbarTimer);
+
+        const bar = document.createElement('div');
+        bar.id = 'gd-label-snackbar';
+        bar.setAttribute('role', 'status');
+        bar.style.cssText = 'position:fixed;left:24px;bottom:24px;z-index:10005;display:flex;align-items:center;gap:12px;min-width:288px;max-width:560px;padding:8px 8px 8px 16px;background:#323232;color:#fff;border-radius:4px;box-shadow:0 3px 10px rgba(0,0,0,0.3);font-size:14px;font-family:Roboto,Arial,sans-serif;';
+
+        const text = document.createElement('span');
+        text.style.cssText = 'flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+        text.textContent = message;
+        text.title = message;
+        bar.appendChild(text);
+
+        if (entry) {
+            const undoBtn = document.createElement('button');
+            undoBtn.textContent = 'Undo';
+            undoBtn.style.cssText = 'border:none;background:transparent;color:#8ab4f8;font-size:14px;font-weight:500;cursor:pointer;padding:6px 8px;border-radius:4px;';
+            undoBtn.addEventListener('click', () => {
+                undoBtn.disabled = true;
+                void undoOperation(entry);
+            });
+            bar.appendChild(undoBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Dismiss';
+        closeBtn.style.cssText = 'border:none;background:transparent;color:#bdc1c6;font-size:18px;cursor:pointer;padding:2px 6px;line-height:1;';
+        closeBtn.addEventListener('click', () => bar.remove());
+        bar.appendChild(closeBtn);
+
+        // Hovering keeps it open, so the Undo button doesn't vanish under the pointer
+        const hideLater = () => { undoSnackbarTimer = setTimeout(() => bar.remove(), entry ? UNDO_SNACKBAR_MS : 3000); };
+        bar.addEventListener('mouseenter', () => clearTimeout(undoSnackbarTimer));
+        bar.addEventListener('mouseleave', hideLater);
+        document.body.appendChild(bar);
+        hideLater();
+    }
+
+    // -----------------------------
+    // Store integrity check & repair
+    // -----------------------------
+
+    const INTEGRITY_EXAMPLE_LIMIT = 5;
+    const INDEX_ISSUES = ['orphaned', 'missing', 'master-duplicates', 'stale-entries', 'empty-labels'];
+    const DOC_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+    // Label lists as they should be: trimmed strings, no blanks, each name once.
+    function cleanLabelList(list, dedupe) {
+        const result = [];
+        (Array.isArray(list) ? list : []).forEach((l) => {
+            if (typeof l !== 'string' || !l.trim()) return;
+            const name = l.trim();
+            if (!dedupe || !result.includes(name)) result.push(name);
+        });
+        return result;
+    }
+
+    function isIndexEntryCurrent(entry, record) {
+        return entry.title === record.title && entry.type === record.type && entry.url === getDefaultDocumentUrl(entry.id, record.type);
+    }
+
+    // Reads the raw store and reports what is out of order, without changing anything.
+    // Each issue is { id, title, description, examples, count, fixable }; the rest of the report is what repair works from.
+    async function checkLabelStore() {
+        const all = await storageGetAll();
+        const syncEnabled = !!(await loadSyncSettings()).enabled;
+        const config = await loadCategoryConfig();
+        const meta = await loadLabelMeta();
+
+        const found = {};
+        function note(id, example) {
+            if (!found[id]) found[id] = { count: 0, examples: [] };
+            found[id].count++;
+            if (found[id].examples.length < INTEGRITY_EXAMPLE_LIMIT) found[id].examples.push(example);
+        }
+
+        // Per-document records
+        const records = {};       // docId -> record as it should be
+        const rewrite = { legacy: [], malformed: [], duplicates: [] }; // issue id -> docIds whose record it rewrites
+        const invalidKeys = [];
+        Object.keys(all).forEach((key) => {
+            if (!key.startsWith(EXT_DOC_KEY_PREFIX)) return;
+            const docId = key.slice(EXT_DOC_KEY_PREFIX.length);
+            const raw = all[key];
+            if (!DOC_ID_PATTERN.test(docId)) {
+                invalidKeys.push(key);
+                note('malformed', key);
+                return;
+            }
+            const record = normalizeDocRecord(docId, raw);
+            const name = '"' + record.title + '" (' + docId + ')';
+            const cleaned = cleanLabelList(record.labels, false);
+            const deduped = cleanLabelList(record.labels, true);
+            if (Array.isArray(raw)) {
+                note('legacy', name);
+                rewrite.legacy.push(docId);
+            }
+            if (!raw || typeof raw !== 'object' || (!Array.isArray(raw) && !Array.isArray(raw.labels)) || cleaned.length !== record.labels.length ||
+                cleaned.some((l, i) => l !== record.labels[i])) {
+                note('malformed', name);
+                rewrite.malformed.push(docId);
+            }
+            if (deduped.length !== cleaned.length) {
+                note('duplicates', name + ': ' + cleaned.filter((l, i) => cleaned.indexOf(l) !== i).join(', '));
+                rewrite.duplicates.push(docId);
+            }
+            records[docId] = Object.assign({}, record, { labels: deduped });
+            if (deduped.length === 0 && !syncEnabled) note('empty-records', name);
+            if (deduped.length > 0 && record.title === 'Untitled') note('untitled', name);
+        });
+
+        // The label index against the records
+        const usedLabels = new Set();
+        Object.keys(records).forEach((docId) => records[docId].labels.forEach((l) => usedLabels.add(l)));
+        const master = {};
+        Object.keys(all).forEach((key) => { if (key.startsWith(EXT_LABEL_DOCS_PREFIX)) master[key.slice(EXT_LABEL_DOCS_PREFIX.length)] = all[key]; });
+        const names = Array.isArray(all[EXT_LABEL_NAMES_KEY]) ? all[EXT_LABEL_NAMES_KEY] : [];
+        names.forEach((label) => { if (!master[label]) note('empty-labels', label); });
+        Object.keys(master).forEach((label) => {
+            const entries = Array.isArray(master[label]) ? master[label] : [];
+            if (entries.length === 0) { note('empty-labels', label); return; }
+            if (!names.includes(label)) note('missing', '"' + label + '" is missing from the list of labels');
+            const seen = new Set();
+            entries.forEach((doc) => {
+                const docId = doc && doc.id;
+                if (!docId || !records[docId] || !records[docId].labels.includes(label)) {
+                    note('orphaned', '"' + label + '" → ' + ((doc && doc.title) || docId || 'invalid entry'));
+                } else if (seen.has(docId)) {
+                    note('master-duplicates', '"' + label + '" → ' + (doc.title || docId));
+                } else if (!isIndexEntryCurrent(doc, records[docId])) {
+                    note('stale-entries', '"' + label + '" → ' + (doc.title || docId) + (doc.title !== records[docId].title ? ' (now "' + records[docId].title + '")' : ''));
+                }
+                if (docId) seen.add(docId);
+            });
+        });
+        Object.keys(records).forEach((docId) => {
+            records[docId].labels.forEach((label) => {
+                if (!(master[label] || []).some((doc) => doc && doc.id === docId)) note('missing', '"' + label + '" → ' + records[docId].title);
+            });
+            const indexed = all[EXT_DOC_LABELS_PREFIX + docId] || [];
+            if (JSON.stringify(indexed.slice().sort()) !== JSON.stringify(records[docId].labels.slice().sort())) {
+                note('stale-entries', records[docId].title + ' is indexed under ' + (indexed.length > 0 ? indexed.join(', ') : 'no labels'));
+            }
+        });
+
+        // Categories and metadata for labels nothing carries any more
+        Object.keys(config.assignments).forEach((label) => {
+            if (!usedLabels.has(label)) note('categories', '"' + label + '" in ' + config.assignments[label]);
+            else if (!config.categoryOrder.includes(config.assignments[label])) note('categories', '"' + label + '" in unknown category ' + config.assignments[label]);
+        });
+        const order = config.categoryOrder.filter((c, i) => typeof c === 'string' && c !== 'Un-Categorized' && config.categoryOrder.indexOf(c) === i);
+        if (order.length !== config.categoryOrder.length) note('categories', 'duplicate or invalid entries in the category order');
+        Object.keys(meta).forEach((label) => { if (!usedLabels.has(label)) note('meta', label); });
+
+        const descriptions = {
+            'malformed': ['Malformed entries', 'Records with an invalid key, a missing label list, or blank or non-text labels. Invalid keys are deleted; label lists are cleaned.'],
+            'legacy': ['Old-format entries', 'Records still stored as a bare list of labels by an early version. They are converted; the title is filled in the next time the document is opened.'],
+            'duplicates': ['Duplicate labels on a document', 'The same label appears more than once on a document. Each is kept once, in its first position.'],
+            'orphaned': ['Orphaned index entries', 'The label index lists documents that don\'t carry the label or no longer exist in the store. The index is rebuilt from the records.'],
+            'missing': ['Missing index entries', 'Documents carry labels the index doesn\'t list, so Drive doesn\'t show them. The index is rebuilt from the records.'],
+            'master-duplicates': ['Duplicated index entries', 'A document is listed more than once under the same label. The index is rebuilt from the records.'],
+            'stale-entries': ['Outdated index entries', 'The index shows an old title, link, file type or label set for a document. The index is rebuilt from the records.'],
+            'empty-labels': ['Labels with no documents', 'Labels left in the index with zero documents. The index is rebuilt from the records.'],
+            'empty-records': ['Documents with no labels', 'Records left behind after every label was removed. They are deleted.'],
+            'categories': ['Stale category assignments', 'Category assignments for labels no document carries, labels assigned to a category that no longer exists, or a damaged category order. Unused assignments are dropped and missing categories are re-created.'],
+            'meta': ['Unused label colors and descriptions', 'Colors, icons and descriptions kept for labels no document carries. They are removed.'],
+            'untitled': ['Documents without a title', 'These were labeled from a link or from Drive before their title was known. Open each once to record its title.']
+        };
+        const issues = Object.keys(descriptions).filter((id) => found[id]).map((id) => ({
+            id: id,
+            title: descriptions[id][0],
+            description: descriptions[id][1],
+            examples: found[id].examples,
+            count: found[id].count,
+            fixable: id !== 'untitled'
+        }));
+
+        return { issues: issues, records: records, rewrite: rewrite, invalidKeys: invalidKeys, usedLabels: usedLabels, order: order };
+    }
+
+    // Documents whose records the selected record fixes rewrite.
+    function getRepairedDocIds(report, selectedIds) {
+        const docIds = [];
+        ['legacy', 'malformed', 'duplicates'].forEach((id) => {
+            if (!selectedIds.includes(id)) return;
+            report.rewrite[id].forEach((docId) => { if (!docIds.includes(docId)) docIds.push(docId); });
+        });
+        return docIds;
+    }
+
+    // Applies the fixes for the issue IDs in `selectedIds` (from a checkLabelStore report).
+    async function repairLabelStore(report, selectedIds) {
+        const has = (id) => selectedIds.includes(id);
+        const changedDocs = {};
+
+        // Records are read again rather than taken from the report, so labels added since the check
+        // (here, in another tab or by sync) survive. A record flagged by several issues gets every
+        // selected fix.
+        const current = await loadDocRecords(getRepairedDocIds(report, selectedIds));
+        Object.keys(current).forEach((docId) => {
+            let list = current[docId].labels;
+            if (has('malformed')) list = cleanLabelList(list, false);
+            if (has('duplicates')) list = list.filter((l, i) => list.indexOf(l) === i);
+            changedDocs[docId] = Object.assign({}, current[docId], { labels: list });
+        });
+        if (Object.keys(changedDocs).length > 0) {
+            await saveDocRecords(changedDocs);
+            await updateMasterForDocs(changedDocs);
+        }
+        if (has('malformed') && report.invalidKeys.length > 0) await storageRemove(report.invalidKeys);
+
+        const emptyCandidates = has('empty-records') ? Object.keys(report.records).filter((docId) => report.records[docId].labels.length === 0) : [];
+        const stillStored = await loadDocRecords(emptyCandidates);
+        const emptyIds = emptyCandidates.filter((docId) => stillStored[docId] && stillStored[docId].labels.length === 0);
+        if (emptyIds.length > 0) await storageRemove(emptyIds.map((docId) => EXT_DOC_KEY_PREFIX + docId));
+
+        // The index is derived from the records, so any index problem is fixed by rebuilding it
+        if (INDEX_ISSUES.some(has)) await rebuildLabelIndex();
+
+        if (has('categories')) {
+            const config = await loadCategoryConfig();
+            const order = report.order.slice();
+            Object.keys(config.assignments).forEach((label) => {
+                const category = config.assignments[label];
+                if (!report.usedLabels.has(label)) delete config.assignments[label];
+                else if (!order.includes(category)) order.push(category);
+            });
+            config.categoryOrder = order;
+            await saveCategoryConfig(config);
+        }
+
+        if (has('meta')) {
+            const meta = await loadLabelMeta();
+            Object.keys(meta).forEach((label) => { if (!report.usedLabels.has(label)) delete meta[label]; });
+            await saveLabelMeta(meta);
+        }
+    }
+
+    function showIntegrityDialog(onRepaired) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; width: 520px; max-width: 90vw; max-height: 85vh; display: flex; flex-direction: column; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 12px;';
+        title.textContent = 'Check & repair labels';
+
+        const body = document.createElement('div');
+        body.style.cssText = 'overflow-y: auto; font-size: 14px; color: #5f6368; min-height: 40px;';
+        body.textContent = 'Checking…';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px; flex-shrink: 0;';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = 'Close';
+        closeBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const repairBtn = document.createElement('button');
+        repairBtn.textContent = 'Repair selected';
+        repairBtn.disabled = true;
+        repairBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(closeBtn);
+        buttonContainer.appendChild(repairBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(body);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        setTimeout(() => closeBtn.focus(), 50);
+
+        const closeDialog = () => overlay.remove();
+        closeBtn.addEventListener('click', closeDialog);
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+
+        let report = null;
+        const ticked = new Set();
+
+        function renderReport() {
+            while (body.firstChild) body.removeChild(body.firstChild);
+            ticked.clear();
+            if (report.issues.length === 0) {
+                body.textContent = 'No problems found. ' + Object.keys(report.records).length + ' documents and ' + report.usedLabels.size + ' labels checked.';
+                repairBtn.style.display = 'none';
+                return;
+            }
+
+            const summary = document.createElement('div');
+            summary.style.cssText = 'font-size: 13px; margin-bottom: 8px;';
+            summary.textContent = 'Checked ' + Object.keys(report.records).length + ' documents and ' + report.usedLabels.size + ' labels. The extension can\'t tell whether a file still exists in Drive; remove deleted files from their labels in the Labels overview.';
+            body.appendChild(summary);
+
+            report.issues.forEach((issue) => {
+                const row = document.createElement('label');
+                row.style.cssText = 'display: flex; align-items: flex-start; gap: 8px; padding: 8px 2px; border-top: 1px solid #f1f3f4; cursor: ' + (issue.fixable ? 'pointer' : 'default') + ';';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = issue.fixable;
+                checkbox.disabled = !issue.fixable;
+                checkbox.style.marginTop = '3px';
+                if (issue.fixable) ticked.add(issue.id);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) ticked.add(issue.id); else ticked.delete(issue.id);
+                    repairBtn.disabled = ticked.size === 0;
+                });
 
-    const EXT_MASTER_KEY = 'gd-master-labels';       // { [labelName]: Array<{id,title,url}> }
-    const EXT_CATEGORY_KEY = 'gd-label-categories';  // { assignments: { [labelName]: category }, categoryOrder: string[] }
+                const text = document.createElement('div');
+                text.style.cssText = 'flex: 1; min-width: 0;';
+                const heading = document.createElement('div');
+                heading.style.cssText = 'font-size: 14px; color: #202124; font-weight: 500;';
+                heading.textContent = issue.title + ' (' + issue.count + ')';
+                const description = document.createElement('div');
+                description.style.cssText = 'font-size: 12px; margin-top: 2px;';
+                description.textContent = issue.description;
+                const examples = document.createElement('div');
+                examples.style.cssText = 'font-size: 12px; color: #80868b; margin-top: 4px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                examples.textContent = issue.examples.join(' · ') + (issue.count > issue.examples.length ? ' · …' : '');
+                examples.title = issue.examples.join('\n');
+
+                text.appendChild(heading);
+                text.appendChild(description);
+                text.appendChild(examples);
+                row.appendChild(checkbox);
+                row.appendChild(text);
+                body.appendChild(row);
+            });
+            repairBtn.style.display = '';
+            repairBtn.disabled = ticked.size === 0;
+        }
 
-    function storageGet(key, defaultValue) {
-        return new Promise((resolve) => {
+        async function runCheck() {
             try {
-                chrome.storage.local.get({ [key]: defaultValue }, (result) => resolve(result[key]));
+                report = await checkLabelStore();
+                renderReport();
             } catch (e) {
-                resolve(defaultValue);
+                console.log('Google Docs Labels: Check failed', e);
+                report = null;
+                repairBtn.disabled = true;
+                body.textContent = 'Check failed: ' + (e.message || e);
             }
-        });
-    }
+        }
 
-    function storageSet(key, value) {
-        return new Promise((resolve) => {
+        repairBtn.addEventListener('click', async () => {
+            if (!report || ticked.size === 0) return;
+            repairBtn.disabled = true;
+            const selectedIds = Array.from(ticked);
+            const docIds = getRepairedDocIds(report, selectedIds).concat(selectedIds.includes('empty-records')
+                ? Object.keys(report.records).filter((docId) => report.records[docId].labels.length === 0) : []);
             try {
-                chrome.storage.local.set({ [key]: value }, () => resolve());
+                await runUndoable('Repaired ' + selectedIds.length + (selectedIds.length === 1 ? ' issue' : ' issues'), { docIds: docIds, categories: true, meta: true, keys: selectedIds.includes('malformed') ? report.invalidKeys : [] },
+                    () => repairLabelStore(report, selectedIds), onRepaired);
+                if (onRepaired) await onRepaired();
+                await runCheck();
             } catch (e) {
-                resolve();
+                console.log('Google Docs Labels: Repair failed', e);
+                body.textContent = 'Repair failed: ' + (e.message || e);
             }
         });
-    }
-
-    async function loadCategoryConfig() {
-        const config = await storageGet(EXT_CATEGORY_KEY, { assignments: {}, categoryOrder: [] });
-        if (!config || typeof config !== 'object') return { assignments: {}, categoryOrder: [] };
-        config.assignments = config.assignments || {};
-        config.categoryOrder = config.categoryOrder || [];
-        return config;
-    }
 
-    function saveCategoryConfig(config) {
-        return storageSet(EXT_CATEGORY_KEY, config);
+        void runCheck();
     }
 
     // -----------------------------
-    // Shared helpers (Docs & Drive)
+    // Label bundles (export / import)
     // -----------------------------
 
-    let labels = [];
-    let labelsListContainer = null;
-    let noLabelsMessage = null;
-    let draggedIndex = null;
-    let documentId = null;
-    let expandedLabels = {};
-    let lastKnownLabelsJson = '';
+    // A bundle carries any number of labels with their categories and metadata:
+    // { format, version, exportedAt, categoryOrder, labels: [{ name, category, meta }],
+    //   documents: [{ id, title, url, type, labels }] }. The single-label { label, documents }
+    // export of older versions is still accepted.
+    const BUNDLE_FORMAT = 'gd-labels-bundle';
+    const BUNDLE_VERSION = 1;
+
+    async function buildLabelBundle(labelNames) {
+        const lists = await loadLabelDocs(labelNames);
+        const docIds = [];
+        labelNames.forEach((label) => lists[label].forEach((doc) => { if (!docIds.includes(doc.id)) docIds.push(doc.id); }));
+        const records = await loadDocRecords(docIds);
+        const config = await loadCategoryConfig();
+        const meta = await loadLabelMeta();
+
+        const bundleLabels = labelNames.map((name) => {
+            const entry = { name: name, category: config.assignments[name] || null };
+            if (meta[name]) entry.meta = meta[name];
+            return entry;
+        });
+        const categories = bundleLabels.map((l) => l.category).filter(Boolean);
 
-    function isGoogleDrive() {
-        return window.location.hostname === 'drive.google.com';
+        const documents = [];
+        Object.keys(records).forEach((docId) => {
+            const record = records[docId];
+            const docLabels = record.labels.filter((l) => labelNames.includes(l));
+            if (docLabels.length === 0) return;
+            documents.push({ id: docId, title: record.title, url: record.url, type: record.type, labels: docLabels });
+        });
+        documents.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            categoryOrder: config.categoryOrder.filter((c) => categories.includes(c)),
+            labels: bundleLabels,
+            documents: documents
+        };
     }
 
-    function getDocumentId() {
-        const match = window.location.pathname.match(/\/document\/d\/([a-zA-Z0-9_-]+)/);
-        return match ? match[1] : null;
+    // Other export formats, all built from a bundle. Labels keep the bundle's order; documents are by title.
+    function getBundleLabelDocs(bundle, labelName) {
+        return bundle.documents.filter((doc) => doc.labels.includes(labelName));
     }
 
-    function getDocumentIdFromUrl(url) {
-        const match = url.match(/\/document\/d\/([a-zA-Z0-9_-]+)/);
-        return match ? match[1] : null;
+    // Spreadsheets run cells starting with =, +, - or @ as formulas, so those are prefixed with '
+    function csvCell(value) {
+        let text = String(value === null || value === undefined ? '' : value);
+        if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
     }
 
-    function getDocumentTitle() {
-        const titleElement = document.querySelector('.docs-title-input') ||
-                            document.querySelector('[data-tooltip="Rename"]') ||
-                            document.querySelector('.docs-title-widget');
-        if (titleElement) {
-            return titleElement.value || titleElement.textContent || 'Untitled';
-        }
-        const pageTitle = document.title.replace(' - Google Docs', '').trim();
-        return pageTitle || 'Untitled';
+    function formatBundleAsCsv(bundle) {
+        const rows = [['label', 'title', 'url', 'category']];
+        bundle.labels.forEach((entry) => {
+            getBundleLabelDocs(bundle, entry.name).forEach((doc) => rows.push([entry.name, doc.title, doc.url, entry.category || '']));
+        });
+        return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
     }
 
-    function getStorageKey(docId) {
-        return 'gd-labels-' + (docId || documentId);
+    function markdownText(text) {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
     }
 
-    // Incrementally update master label data for the current document only.
-    async function updateMasterLabelList() {
-        if (!documentId) return;
-        try {
-            let master = await storageGet(EXT_MASTER_KEY, {});
-            // Handle legacy format (array)
-            if (Array.isArray(master)) master = {};
-            if (!master || typeof master !== 'object') master = {};
-
-            const docTitle = getDocumentTitle();
-            const docUrl = window.location.href;
-
-            // Remove this doc from all labels
-            Object.keys(master).forEach((label) => {
-                master[label] = (master[label] || []).filter((doc) => doc && doc.id !== documentId);
-                if (!master[label] || master[label].length === 0) delete master[label];
+    function formatBundleAsMarkdown(bundle) {
+        const categories = bundle.categoryOrder.slice();
+        bundle.labels.forEach((entry) => { if (entry.category && !categories.includes(entry.category)) categories.push(entry.category); });
+        if (bundle.labels.some((entry) => !entry.category)) categories.push(null);
+
+        const lines = [];
+        categories.forEach((category) => {
+            lines.push('## ' + markdownText(category || 'Un-Categorized'), '');
+            bundle.labels.filter((entry) => (entry.category || null) === category).forEach((entry) => {
+                lines.push('### ' + markdownText(entry.name), '');
+                const docs = getBundleLabelDocs(bundle, entry.name);
+                if (docs.length === 0) lines.push('_No documents_');
+                docs.forEach((doc) => lines.push('- [' + markdownText(doc.title) + '](' + doc.url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20') + ')'));
+                lines.push('');
             });
+        });
+        return lines.join('\n');
+    }
+
+    function htmlText(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
 
-            // Add current labels
-            labels.forEach((label) => {
-                if (!master[label]) master[label] = [];
-                master[label].push({ id: documentId, title: docTitle, url: docUrl });
+    // Netscape bookmark file, the format browsers import and export; one folder per label.
+    function formatBundleAsBookmarksHtml(bundle) {
+        const addDate = Math.floor(Date.now() / 1000);
+        const lines = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file.',
+            '     It will be read and overwritten.',
+            '     DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>'
+        ];
+        bundle.labels.forEach((entry) => {
+            lines.push('    <DT><H3 ADD_DATE="' + addDate + '">' + htmlText(entry.name) + '</H3>', '    <DL><p>');
+            getBundleLabelDocs(bundle, entry.name).forEach((doc) => {
+                lines.push('        <DT><A HREF="' + htmlText(doc.url) + '" ADD_DATE="' + addDate + '">' + htmlText(doc.title) + '</A>');
             });
+            lines.push('    </DL><p>');
+        });
+        lines.push('</DL><p>');
+        return lines.join('\n') + '\n';
+    }
 
-            await storageSet(EXT_MASTER_KEY, master);
-        } catch (e) {
-            console.log('Google Docs Labels: Could not update master label list', e);
-        }
+    const EXPORT_FORMATS = {
+        json: { name: 'JSON (for importing)', extension: 'json', mimeType: 'application/json', format: (bundle) => JSON.stringify(bundle, null, 2) },
+        csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv', format: formatBundleAsCsv },
+        markdown: { name: 'Markdown', extension: 'md', mimeType: 'text/markdown', format: formatBundleAsMarkdown },
+        bookmarks: { name: 'Bookmarks (HTML)', extension: 'html', mimeType: 'text/html', format: formatBundleAsBookmarksHtml },
+        link: { name: 'Share link', extension: null, mimeType: null, format: buildShareLink }
+    };
+
+    const LABEL_FILE_MAX_BYTES = 5 * 1024 * 1024;
+
+    // Share tokens: the bundle packed into arrays (URLs are rebuilt from ID and type), deflated and
+    // base64url-encoded behind a "gdl1." prefix. "gdl0." marks an uncompressed token, for browsers
+    // without CompressionStream. A share link puts the token in a Drive URL fragment, which never
+    // leaves the browser; opening it starts the import preview. Only input that is a token or link as
+    // a whole counts, so a JSON export that happens to mention "gdl1.x" still imports as JSON.
+    const SHARE_TOKEN_PATTERN = /^(?:\S*#gd-import=)?gdl([01])\.([A-Za-z0-9_-]+)$/;
+    const SHARE_LINK_PREFIX = 'https://drive.google.com/drive/my-drive#gd-import=';
+
+    function packBundle(bundle) {
+        const types = Object.keys(FILE_TYPES);
+        const labelIndex = {};
+        const packedLabels = bundle.labels.map((entry, i) => {
+            labelIndex[entry.name] = i;
+            const packed = [entry.name, entry.category || 0, entry.meta || 0];
+            while (packed.length > 1 && packed[packed.length - 1] === 0) packed.pop();
+            return packed;
+        });
+        const packedDocs = bundle.documents.map((doc) => [doc.id, doc.title, types.indexOf(getDocType(doc))].concat(doc.labels.map((l) => labelIndex[l])));
+        return [BUNDLE_VERSION, bundle.categoryOrder, packedLabels, packedDocs];
     }
 
-    // -----------------------------
-    // Google Docs sidebar features
-    // -----------------------------
+    function unpackBundle(packed) {
+        if (!Array.isArray(packed) || packed.length < 4 || !Array.isArray(packed[2]) || !Array.isArray(packed[3])) throw new Error('The share token is damaged.');
+        const types = Object.keys(FILE_TYPES);
+        const bundleLabels = packed[2].map((entry) => ({ name: entry[0], category: entry[1] || null, meta: entry[2] || undefined }));
+        return {
+            format: BUNDLE_FORMAT,
+            version: packed[0],
+            categoryOrder: Array.isArray(packed[1]) ? packed[1] : [],
+            labels: bundleLabels,
+            documents: packed[3].map((doc) => {
+                const type = types[doc[2]] || 'document';
+                return {
+                    id: doc[0],
+                    title: doc[1],
+                    url: getDefaultDocumentUrl(doc[0], type),
+                    type: type,
+                    labels: doc.slice(3).map((i) => bundleLabels[i] && bundleLabels[i].name).filter(Boolean)
+                };
+            })
+        };
+    }
 
-    function saveLabels() {
-        if (!documentId) return;
-        try {
-            const data = {
-                labels: labels,
-                title: getDocumentTitle(),
-                url: window.location.href
-            };
-            localStorage.setItem(getStorageKey(), JSON.stringify(data));
-            lastKnownLabelsJson = JSON.stringify(labels);
-            void updateMasterLabelList();
-        } catch (e) {
-            console.log('Google Docs Labels: Could not save labels', e);
-        }
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
     }
 
-    function loadLabels() {
-        if (!documentId) return;
-        try {
-            const saved = localStorage.getItem(getStorageKey());
-            if (saved) {
-                const data = JSON.parse(saved);
-                if (Array.isArray(data)) {
-                    labels = data;
-                } else {
-                    labels = data.labels || [];
-                }
-            } else {
-                labels = [];
-            }
-            lastKnownLabelsJson = JSON.stringify(labels);
-        } catch (e) {
-            console.log('Google Docs Labels: Could not load labels', e);
-            labels = [];
-            lastKnownLabelsJson = '[]';
-        }
+    function base64UrlToBytes(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
     }
 
-    function checkAndReloadLabels() {
-        if (!documentId) return;
+    async function transformBytes(bytes, stream) {
+        const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    async function encodeShareToken(bundle) {
+        const bytes = new TextEncoder().encode(JSON.stringify(packBundle(bundle)));
+        if (typeof CompressionStream === 'undefined') return 'gdl0.' + bytesToBase64Url(bytes);
+        return 'gdl1.' + bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')));
+    }
+
+    // Reads `text` as a share token (a bare token or a share link). Returns the bundle as JSON text,
+    // { error } for a token that can't be read, or null when the text isn't a token.
+    async function decodeShareToken(text) {
+        const match = String(text || '').trim().match(SHARE_TOKEN_PATTERN);
+        if (!match) return null;
         try {
-            const saved = localStorage.getItem(getStorageKey());
-            let currentLabels = [];
-            if (saved) {
-                const data = JSON.parse(saved);
-                currentLabels = Array.isArray(data) ? data : (data.labels || []);
-            }
-            const currentJson = JSON.stringify(currentLabels);
-            if (currentJson !== lastKnownLabelsJson) {
-                labels = currentLabels;
-                lastKnownLabelsJson = currentJson;
-                updateLabelsDisplay();
-                void updateMasterLabelList();
-            }
+            let bytes = base64UrlToBytes(match[2]);
+            if (match[1] === '1') bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+            return { text: JSON.stringify(unpackBundle(JSON.parse(new TextDecoder().decode(bytes)))) };
         } catch (e) {
-            console.log('Google Docs Labels: Error checking for label changes', e);
+            return { error: 'The share token is incomplete or damaged. Make sure the whole token or link was copied.' };
         }
     }
 
-    function findDocumentsWithLabel(labelName) {
-        const documents = [];
-        const currentDocId = documentId;
+    async function buildShareLink(bundle) {
+        return SHARE_LINK_PREFIX + await encodeShareToken(bundle);
+    }
 
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('gd-labels-')) {
-                try {
-                    const docId = key.replace('gd-labels-', '');
-                    const saved = localStorage.getItem(key);
-                    const data = JSON.parse(saved);
-
-                    let docLabels = [];
-                    let docTitle = 'Untitled';
-                    let docUrl = 'https://docs.google.com/document/d/' + docId + '/edit';
-
-                    if (Array.isArray(data)) {
-                        docLabels = data;
-                    } else {
-                        docLabels = data.labels || [];
-                        docTitle = data.title || 'Untitled';
-                        docUrl = data.url || docUrl;
-                    }
+    function getExportFileName(labelNames, extension) {
+        const base = labelNames.length === 1 ? labelNames[0] : labelNames.length + ' labels';
+        const safe = base.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-').replace(/\s+/g, ' ').trim().slice(0, 80) || 'labels';
+        return 'labels - ' + safe + ' - ' + new Date().toISOString().slice(0, 10) + '.' + extension;
+    }
 
-                    if (docLabels.includes(labelName)) {
-                        documents.push({
-                            id: docId,
-                            title: docTitle,
-                            url: docUrl,
-                            isCurrent: docId === currentDocId
-                        });
-                    }
-                } catch (e) {}
-            }
+    function downloadTextFile(fileName, text, mimeType) {
+        const url = URL.createObjectURL(new Blob([text], { type: mimeType + ';charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Reads a file the user picked or dropped. Returns { text } or { error } for files that can't be a label export.
+    async function readLabelFile(file) {
+        if (!file) return { error: 'No file was selected.' };
+        const name = file.name || 'The file';
+        if (file.size > LABEL_FILE_MAX_BYTES) return { error: '"' + name + '" is too large to be a label export (over 5 MB).' };
+        if (file.type && !/json|text\/plain/.test(file.type) && !/\.json$/i.test(file.name || '')) {
+            return { error: '"' + name + '" is not a label export. Choose a .json file exported from Google Docs Labels.' };
+        }
+        try {
+            return { text: await file.text() };
+        } catch (e) {
+            return { error: 'Could not read "' + name + '": ' + e.message };
         }
+    }
 
-        return documents;
+    function hasDraggedFiles(e) {
+        return !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'));
     }
 
-    function exportLabel(labelName) {
-        const documents = findDocumentsWithLabel(labelName);
-        const exportData = {
-            label: labelName,
-            documents: documents.map(doc => ({ title: doc.title, url: doc.url }))
+    // Lets a label export be dropped onto `target`; the import dialog opens with its preview.
+    function enableLabelFileDrop(target, onImported) {
+        let depth = 0;
+        const outline = (on) => {
+            target.style.outline = on ? '2px dashed #1a73e8' : '';
+            target.style.outlineOffset = on ? '-4px' : '';
         };
-        return JSON.stringify(exportData, null, 2);
+        target.addEventListener('dragenter', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            depth++;
+            outline(true);
+        });
+        target.addEventListener('dragover', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        target.addEventListener('dragleave', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            depth = Math.max(0, depth - 1);
+            if (depth === 0) outline(false);
+        });
+        target.addEventListener('drop', async (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            depth = 0;
+            outline(false);
+            const file = e.dataTransfer.files[0];
+            showImportDialog(onImported, Object.assign({ fileName: file && file.name }, await readLabelFile(file)));
+        });
     }
 
-    function importLabel(jsonString) {
+    // Returns { bundle } in the current shape, or { error } describing why the text isn't a label export.
+    function parseLabelBundle(jsonString) {
+        let data;
         try {
-            const importData = JSON.parse(jsonString);
-            if (!importData.label || !Array.isArray(importData.documents)) {
-                return { success: false, message: 'Invalid JSON format. Expected { label, documents }' };
-            }
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            return { error: 'Invalid JSON: ' + e.message };
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'Invalid JSON format. Expected a label export.' };
+
+        // Single-label export from before bundles existed
+        if (data.format === undefined && typeof data.label === 'string' && Array.isArray(data.documents)) {
+            data = {
+                format: BUNDLE_FORMAT,
+                version: 0,
+                categoryOrder: [],
+                labels: [{ name: data.label, category: null, meta: data.meta }],
+                documents: data.documents.map((doc) => Object.assign({}, doc, { labels: [data.label] }))
+            };
+        }
 
-            const labelName = importData.label;
-            let importedCount = 0;
+        if (data.format !== BUNDLE_FORMAT) return { error: 'This is not a label export (expected { label, documents } or a "' + BUNDLE_FORMAT + '" bundle).' };
+        if (typeof data.version !== 'number' || data.version > BUNDLE_VERSION) {
+            return { error: 'This bundle was made by a newer version of the extension (format version ' + data.version + '). Please update to import it.' };
+        }
+        if (!Array.isArray(data.labels) || !Array.isArray(data.documents)) return { error: 'The bundle is missing its labels or documents list.' };
+
+        const labelsByName = {};
+        data.labels.forEach((entry) => {
+            const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+            if (!name || labelsByName[name]) return;
+            labelsByName[name] = {
+                name: name,
+                category: typeof entry.category === 'string' && entry.category.trim() && entry.category !== 'Un-Categorized' ? entry.category.trim() : null,
+                meta: sanitizeLabelMeta(entry.meta)
+            };
+        });
 
-            importData.documents.forEach(doc => {
-                if (!doc.url) return;
-                const docId = getDocumentIdFromUrl(doc.url);
-                if (!docId) return;
+        const documentsById = {};
+        data.documents.forEach((doc) => {
+            if (!doc || typeof doc !== 'object') return;
+            // Only the ID and type are taken from the bundle; the stored link is always rebuilt from them,
+            // so a shared file can't plant a javascript: or off-site URL in anyone's label lists
+            const parsed = parseDocumentUrl(doc.url) || (typeof doc.id === 'string' && DOC_ID_PATTERN.test(doc.id) ? { id: doc.id, type: FILE_TYPES[doc.type] ? doc.type : 'document' } : null);
+            if (!parsed) return;
+            const docLabels = (Array.isArray(doc.labels) ? doc.labels : []).filter((l) => typeof l === 'string' && labelsByName[l.trim()]).map((l) => l.trim());
+            if (docLabels.length === 0) return;
+            const existing = documentsById[parsed.id];
+            if (existing) {
+                docLabels.forEach((l) => { if (!existing.labels.includes(l)) existing.labels.push(l); });
+                return;
+            }
+            documentsById[parsed.id] = {
+                id: parsed.id,
+                title: typeof doc.title === 'string' && doc.title.trim() ? doc.title : 'Untitled',
+                url: getDefaultDocumentUrl(parsed.id, parsed.type),
+                type: parsed.type,
+                labels: docLabels
+            };
+        });
 
-                const storageKey = getStorageKey(docId);
-                let existingData = { labels: [], title: doc.title || 'Untitled', url: doc.url };
+        return {
+            bundle: {
+                version: data.version,
+                categoryOrder: (Array.isArray(data.categoryOrder) ? data.categoryOrder : []).filter((c) => typeof c === 'string'),
+                labels: Object.keys(labelsByName).map((name) => labelsByName[name]),
+                documents: Object.keys(documentsById).map((id) => documentsById[id])
+            }
+        };
+    }
 
-                try {
-                    const saved = localStorage.getItem(storageKey);
-                    if (saved) {
-                        const data = JSON.parse(saved);
-                        if (Array.isArray(data)) {
-                            existingData.labels = data;
-                        } else {
-                            existingData = data;
-                            existingData.labels = existingData.labels || [];
-                        }
-                    }
-                } catch (e) {}
+    // Like parseLabelBundle, but also accepts a share token or link.
+    async function parseLabelImportText(text) {
+        const decoded = await decodeShareToken(text);
+        if (decoded && decoded.error) return { error: decoded.error };
+        return parseLabelBundle(decoded ? decoded.text : text);
+    }
 
-                if (!existingData.labels.includes(labelName)) {
-                    existingData.labels.push(labelName);
-                    localStorage.setItem(storageKey, JSON.stringify(existingData));
-                    importedCount++;
-                }
+    // Works out what importing `bundle` would change without writing anything:
+    // labels: [{ name, category, meta, isNew, localCategory, categoryConflict }]
+    // documents: [{ id, title, url, type, isNew, addLabels }] (only documents that would gain a label)
+    async function previewLabelBundle(bundle) {
+        const records = await loadDocRecords(bundle.documents.map((doc) => doc.id));
+        const lists = await loadLabelDocs(bundle.labels.map((entry) => entry.name));
+        const config = await loadCategoryConfig();
+
+        const previewLabels = bundle.labels.map((entry) => {
+            const localCategory = config.assignments[entry.name] || null;
+            return Object.assign({}, entry, {
+                isNew: lists[entry.name].length === 0,
+                localCategory: localCategory,
+                categoryConflict: !!(entry.category && localCategory && entry.category !== localCategory)
             });
+        });
 
-            loadLabels();
-            updateLabelsDisplay();
-            void updateMasterLabelList();
+        const previewDocs = [];
+        bundle.documents.forEach((doc) => {
+            const record = records[doc.id];
+            const addLabels = doc.labels.filter((l) => !record || !record.labels.includes(l));
+            if (addLabels.length === 0) return;
+            previewDocs.push(Object.assign({}, doc, { title: record && record.title !== 'Untitled' ? record.title : doc.title, isNew: !record, addLabels: addLabels }));
+        });
 
-            return {
-                success: true,
-                message: `Imported label "${labelName}" to ${importedCount} document(s).`
-            };
-        } catch (e) {
-            return { success: false, message: 'Invalid JSON: ' + e.message };
+        return { labels: previewLabels, documents: previewDocs };
+    }
+
+    // Applies the ticked parts of a preview. Categories and metadata are only filled in where the label
+    // has none locally; a conflicting local category is kept.
+    async function applyLabelBundle(bundle, preview, selectedLabels, selectedDocIds) {
+        const records = await loadDocRecords(selectedDocIds);
+        const changed = {};
+        preview.documents.forEach((doc) => {
+            if (!selectedDocIds.includes(doc.id)) return;
+            const add = doc.addLabels.filter((l) => selectedLabels.includes(l));
+            if (add.length === 0) return;
+            const record = records[doc.id] || normalizeDocRecord(doc.id, { title: doc.title, url: getDefaultDocumentUrl(doc.id, doc.type), type: doc.type });
+            changed[doc.id] = Object.assign({}, record, { labels: record.labels.concat(add.filter((l) => !record.labels.includes(l))) });
+        });
+        await saveDocRecords(changed);
+        await updateMasterForDocs(changed);
+
+        // A new label that ended up on no document doesn't exist here, so it gets no category or metadata
+        const appliedLabels = preview.labels.filter((entry) => selectedLabels.includes(entry.name) &&
+            (!entry.isNew || Object.keys(changed).some((docId) => changed[docId].labels.includes(entry.name))));
+
+        const config = await loadCategoryConfig();
+        const newCategories = [];
+        let configChanged = false;
+        appliedLabels.forEach((entry) => {
+            if (!entry.category || entry.localCategory) return;
+            config.assignments[entry.name] = entry.category;
+            if (!config.categoryOrder.includes(entry.category) && !newCategories.includes(entry.category)) newCategories.push(entry.category);
+            configChanged = true;
+        });
+        if (configChanged) {
+            // Categories that are new here are added in the order the bundle lists them
+            const rank = (c) => (bundle.categoryOrder.includes(c) ? bundle.categoryOrder.indexOf(c) : bundle.categoryOrder.length);
+            config.categoryOrder = config.categoryOrder.concat(newCategories.sort((a, b) => rank(a) - rank(b)));
+            await saveCategoryConfig(config);
         }
+
+        for (const entry of appliedLabels) await importLabelMeta(entry.name, entry.meta);
+
+        await loadLabels();
+        await refreshLabelDocs();
+        updateLabelsDisplay();
+        return Object.keys(changed).length;
+    }
+
+    // Imported metadata only fills in labels that have none locally; it never overwrites the user's own.
+    async function importLabelMeta(labelName, rawMeta) {
+        const imported = sanitizeLabelMeta(rawMeta);
+        if (!imported) return;
+        const meta = await loadLabelMeta();
+        if (meta[labelName]) return;
+        meta[labelName] = imported;
+        await saveLabelMeta(meta);
+        labelMeta = meta;
+        updateLabelsDisplay();
     }
 
-    function showExportDialog(labelName) {
+    // `labelNames` is one label or a list of them.
+    async function showExportDialog(labelNames) {
         const existingDialog = document.querySelector('#gd-label-dialog-overlay');
         if (existingDialog) existingDialog.remove();
 
-        const jsonData = exportLabel(labelName);
+        const names = Array.isArray(labelNames) ? labelNames : [labelNames];
+        const bundle = await buildLabelBundle(names);
+        let exportFormat = 'json';
+        let exportText = EXPORT_FORMATS.json.format(bundle);
 
         const overlay = document.createElement('div');
         overlay.id = 'gd-label-dialog-overlay';
-        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10000; display: flex; align-items: center; justify-content: center;';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
 
         const dialog = document.createElement('div');
         dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 400px; max-width: 520px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
 
         const title = document.createElement('div');
         title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
-        title.textContent = 'Export Label: ' + labelName;
+        title.textContent = names.length === 1 ? 'Export Label: ' + names[0] : 'Export ' + names.length + ' Labels';
+
+        const formatSelect = document.createElement('select');
+        formatSelect.style.cssText = 'margin-bottom: 8px; padding: 6px 8px; border: 1px solid #dadce0; border-radius: 4px; font-size: 13px; background: white; color: #202124;';
+        Object.keys(EXPORT_FORMATS).forEach((key) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = EXPORT_FORMATS[key].name;
+            formatSelect.appendChild(option);
+        });
 
         const textArea = document.createElement('textarea');
-        textArea.value = jsonData;
+        textArea.value = exportText;
         textArea.readOnly = true;
         textArea.style.cssText = 'width: 100%; height: 220px; padding: 10px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 12px; font-family: monospace; box-sizing: border-box; resize: vertical;';
 
         const instructions = document.createElement('div');
         instructions.style.cssText = 'margin-top: 12px; padding: 12px; background: #f8f9fa; border-radius: 4px; font-size: 13px; color: #5f6368;';
-        instructions.textContent = 'Copy the text above and send it to another user. They can import this label using the import button (↓) next to the Labels header.';
+        const formatInstructions = {
+            json: 'Copy the text above or download it and send it to another user. They can import ' + (names.length === 1 ? 'this label' : 'these labels') +
+                ', with ' + (names.length === 1 ? 'its category and color' : 'their categories and colors') + ', using the import button (↓) next to the Labels header or Import in the Drive Labels view.',
+            csv: 'One row per label and document (label, title, url, category). Paste into a spreadsheet or save as a .csv file.',
+            link: 'Send this link to another user of the extension. Opening it (or pasting it into Import) shows what will be added before anything changes.',
+            markdown: 'Document links grouped by category and label, ready to paste into a status report.',
+            bookmarks: 'Save as an .html file and import it from your browser\'s bookmark manager; each label becomes a folder.'
+        };
+        instructions.textContent = formatInstructions.json;
+
+        const downloadBtn = document.createElement('button');
+        downloadBtn.textContent = 'Download .json';
+        downloadBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        formatSelect.addEventListener('change', async () => {
+            exportFormat = formatSelect.value;
+            const format = EXPORT_FORMATS[exportFormat];
+            exportText = await format.format(bundle);
+            textArea.value = exportText;
+            instructions.textContent = formatInstructions[exportFormat] + (exportFormat === 'link' ? ' (' + exportText.length + ' characters)' : '');
+            downloadBtn.textContent = 'Download .' + format.extension;
+            downloadBtn.style.display = format.extension ? 'inline-block' : 'none';
+            textArea.select();
+        });
+
+        downloadBtn.addEventListener('click', () => {
+            const format = EXPORT_FORMATS[exportFormat];
+            downloadTextFile(getExportFileName(names, format.extension), exportText, format.mimeType);
+        });
 
         const buttonContainer = document.createElement('div');
         buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
@@ -319,9 +2209,11 @@
         okBtn.textContent = 'OK';
         okBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
 
+        buttonContainer.appendChild(downloadBtn);
         buttonContainer.appendChild(copyBtn);
         buttonContainer.appendChild(okBtn);
         dialog.appendChild(title);
+        dialog.appendChild(formatSelect);
         dialog.appendChild(textArea);
         dialog.appendChild(instructions);
         dialog.appendChild(buttonContainer);
@@ -334,7 +2226,7 @@
 
         copyBtn.addEventListener('click', () => {
             textArea.select();
-            navigator.clipboard.writeText(jsonData).then(() => {
+            navigator.clipboard.writeText(exportText).then(() => {
                 copyBtn.textContent = 'Copied!';
                 setTimeout(() => { copyBtn.textContent = 'Copy to Clipboard'; }, 2000);
             }).catch(() => {
@@ -345,82 +2237,411 @@
         });
 
         okBtn.addEventListener('click', closeDialog);
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
         overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
     }
 
-    function showImportDialog() {
+    // Renders the import preview into `container`: every label and document with a checkbox, new
+    // items marked, category conflicts flagged. Returns a getter for the ticked { labels, docIds }.
+    function renderBundlePreview(container, preview) {
+        const tickedLabels = new Set(preview.labels.map((l) => l.name));
+        const tickedDocs = new Set(preview.documents.map((d) => d.id));
+        const docRows = [];
+
+        function badge(text, color) {
+            const el = document.createElement('span');
+            el.textContent = text;
+            el.style.cssText = 'font-size: 11px; padding: 0 6px; border-radius: 8px; border: 1px solid ' + color + '; color: ' + color + '; flex-shrink: 0;';
+            return el;
+        }
+
+        function sectionTitle(text) {
+            const el = document.createElement('div');
+            el.textContent = text;
+            el.style.cssText = 'font-size: 12px; font-weight: 500; color: #5f6368; text-transform: uppercase; letter-spacing: 0.5px; margin: 12px 0 4px;';
+            return el;
+        }
+
+        function checkRow(checked, onChange) {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 4px 2px; font-size: 13px; color: #202124; cursor: pointer;';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = checked;
+            checkbox.addEventListener('change', () => onChange(checkbox.checked));
+            row.appendChild(checkbox);
+            return { row: row, checkbox: checkbox };
+        }
+
+        // A document only counts when at least one of the labels it would get is still ticked
+        function refreshDocRows() {
+            docRows.forEach(({ doc, row, addText }) => {
+                const add = doc.addLabels.filter((l) => tickedLabels.has(l));
+                addText.textContent = add.length > 0 ? '+ ' + add.join(', ') : 'nothing to add';
+                row.style.opacity = add.length > 0 ? '1' : '0.5';
+            });
+        }
+
+        container.appendChild(sectionTitle('Labels (' + preview.labels.length + ')'));
+        preview.labels.forEach((entry) => {
+            const { row } = checkRow(true, (checked) => {
+                if (checked) tickedLabels.add(entry.name); else tickedLabels.delete(entry.name);
+                refreshDocRows();
+            });
+            const chip = createLabelChip(entry.name, entry.meta);
+            chip.style.flex = '1';
+            row.appendChild(chip);
+            if (entry.isNew) row.appendChild(badge('new', '#188038'));
+            if (entry.categoryConflict) {
+                const conflict = badge('category: keeps "' + entry.localCategory + '"', '#b06000');
+                conflict.title = 'The bundle puts this label in "' + entry.category + '", but here it is in "' + entry.localCategory + '".';
+                row.appendChild(conflict);
+            } else if (entry.category && !entry.localCategory) {
+                row.appendChild(badge(entry.category, '#5f6368'));
+            }
+            container.appendChild(row);
+        });
+
+        container.appendChild(sectionTitle('Documents (' + preview.documents.length + ')'));
+        if (preview.documents.length === 0) {
+            const none = document.createElement('div');
+            none.style.cssText = 'font-size: 13px; color: #5f6368; font-style: italic; padding: 4px 2px;';
+            none.textContent = 'Every document already has these labels.';
+            container.appendChild(none);
+        }
+        preview.documents.forEach((doc) => {
+            const { row } = checkRow(true, (checked) => {
+                if (checked) tickedDocs.add(doc.id); else tickedDocs.delete(doc.id);
+            });
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1; min-width: 0;';
+            const docTitle = document.createElement('div');
+            docTitle.textContent = FILE_TYPES[doc.type].icon + ' ' + doc.title;
+            docTitle.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const addText = document.createElement('div');
+            addText.style.cssText = 'font-size: 12px; color: #5f6368; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            text.appendChild(docTitle);
+            text.appendChild(addText);
+            row.appendChild(text);
+            if (doc.isNew) row.appendChild(badge('new', '#188038'));
+            docRows.push({ doc: doc, row: row, addText: addText });
+            container.appendChild(row);
+        });
+        refreshDocRows();
+
+        return () => ({ labels: Array.from(tickedLabels), docIds: Array.from(tickedDocs) });
+    }
+
+    // Paste (or open a file) → Preview → Import. `onImported` runs after a successful import (e.g. to
+    // refresh the Drive overlay); `initial` ({ text, error, fileName }) starts from a file that was already read.
+    function showImportDialog(onImported, initial) {
         const existingDialog = document.querySelector('#gd-label-dialog-overlay');
         if (existingDialog) existingDialog.remove();
 
         const overlay = document.createElement('div');
         overlay.id = 'gd-label-dialog-overlay';
-        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10000; display: flex; align-items: center; justify-content: center;';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
 
         const dialog = document.createElement('div');
         dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 400px; max-width: 520px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
 
         const title = document.createElement('div');
         title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
-        title.textContent = 'Import Label';
+        title.textContent = 'Import Labels';
 
         const textArea = document.createElement('textarea');
-        textArea.placeholder = 'Paste the exported JSON here...';
+        textArea.placeholder = 'Paste the exported JSON or a share link here...';
         textArea.style.cssText = 'width: 100%; height: 220px; padding: 10px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 12px; font-family: monospace; box-sizing: border-box; resize: vertical;';
 
-        const statusMsg = document.createElement('div');
-        statusMsg.style.cssText = 'margin-top: 12px; padding: 12px; border-radius: 4px; font-size: 13px; display: none;';
+        const previewContainer = document.createElement('div');
+        previewContainer.style.cssText = 'max-height: 320px; overflow-y: auto; display: none;';
+
+        const statusMsg = document.createElement('div');
+        statusMsg.style.cssText = 'margin-top: 12px; padding: 12px; border-radius: 4px; font-size: 13px; display: none;';
+
+        const instructions = document.createElement('div');
+        instructions.style.cssText = 'margin-top: 12px; padding: 12px; background: #f8f9fa; border-radius: 4px; font-size: 13px; color: #5f6368;';
+        instructions.textContent = 'Paste the JSON or share link that was exported by another user, open the file, or drop it here. You will see what changes before anything is imported.';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+
+        const openFileBtn = document.createElement('button');
+        openFileBtn.textContent = 'Open file…';
+        openFileBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px; margin-right: auto;';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const backBtn = document.createElement('button');
+        backBtn.textContent = 'Back';
+        backBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px; display: none;';
+
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Preview';
+        importBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        buttonContainer.appendChild(openFileBtn);
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(backBtn);
+        buttonContainer.appendChild(importBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(fileInput);
+        dialog.appendChild(textArea);
+        dialog.appendChild(previewContainer);
+        dialog.appendChild(statusMsg);
+        dialog.appendChild(instructions);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        textArea.focus();
+
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+
+        let pending = null; // { bundle, preview, getSelection } while the preview is shown
+
+        function showStatus(message, isError) {
+            statusMsg.style.display = 'block';
+            statusMsg.style.background = isError ? '#fce8e6' : '#e6f4ea';
+            statusMsg.style.color = isError ? '#c5221f' : '#137333';
+            statusMsg.textContent = message;
+        }
+
+        function showPasteStep() {
+            pending = null;
+            textArea.style.display = 'block';
+            previewContainer.style.display = 'none';
+            instructions.style.display = 'block';
+            backBtn.style.display = 'none';
+            openFileBtn.style.display = 'inline-block';
+            statusMsg.style.display = 'none';
+            importBtn.textContent = 'Preview';
+            title.textContent = 'Import Labels';
+        }
+
+        // `fileName` names the file the text came from, so errors can say which file was wrong
+        async function showPreviewStep(fileName) {
+            const parsed = await parseLabelImportText(textArea.value);
+            if (parsed.error) { showStatus((fileName ? '"' + fileName + '": ' : '') + parsed.error, true); return; }
+            const preview = await previewLabelBundle(parsed.bundle);
+
+            while (previewContainer.firstChild) previewContainer.removeChild(previewContainer.firstChild);
+            pending = { bundle: parsed.bundle, preview: preview, getSelection: renderBundlePreview(previewContainer, preview) };
+            textArea.style.display = 'none';
+            previewContainer.style.display = 'block';
+            instructions.style.display = 'none';
+            backBtn.style.display = 'inline-block';
+            openFileBtn.style.display = 'none';
+            statusMsg.style.display = 'none';
+            importBtn.textContent = 'Import';
+            title.textContent = 'Review Import';
+        }
+
+        // A file that was read successfully goes straight to the preview
+        async function loadFromFile(result) {
+            if (result.error) { showPasteStep(); showStatus(result.error, true); return; }
+            textArea.value = result.text;
+            await showPreviewStep(result.fileName);
+        }
+
+        openFileBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) await loadFromFile(Object.assign({ fileName: file.name }, await readLabelFile(file)));
+        });
+
+        // Dropping another file on the open dialog replaces what was there
+        dialog.addEventListener('dragover', (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        dialog.addEventListener('drop', async (e) => {
+            if (!hasDraggedFiles(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const file = e.dataTransfer.files[0];
+            await loadFromFile(Object.assign({ fileName: file && file.name }, await readLabelFile(file)));
+        });
+        if (initial) void loadFromFile(initial);
+
+        backBtn.addEventListener('click', showPasteStep);
+        importBtn.addEventListener('click', async () => {
+            if (!pending) { await showPreviewStep(null); return; }
+            const selection = pending.getSelection();
+            if (selection.labels.length === 0) { showStatus('Tick at least one label to import.', true); return; }
+            const labelText = selection.labels.length === 1 ? 'label "' + selection.labels[0] + '"' : selection.labels.length + ' labels';
+            // Disabled up front, so a double click can't import (and record an undo step) twice
+            importBtn.disabled = true;
+            let importedCount;
+            try {
+                importedCount = await runUndoable('Imported ' + labelText, { docIds: selection.docIds, categories: true, meta: true },
+                    () => applyLabelBundle(pending.bundle, pending.preview, selection.labels, selection.docIds), onImported);
+            } catch (e) {
+                console.log('Google Docs Labels: Import failed', e);
+                showStatus('Import failed: ' + (e.message || e), true);
+                importBtn.disabled = false;
+                return;
+            }
+            showStatus(`Imported ${labelText} to ${importedCount} document(s).`, false);
+            if (onImported) onImported();
+            setTimeout(closeDialog, 2000);
+        });
+
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    }
+
+    // -----------------------------
+    // Google Docs sidebar features
+    // -----------------------------
+
+    const TITLE_SETTLE_MS = 1000;
+    const LIVE_UPDATE_SETTLE_MS = 200; // one save writes the record and then several index keys
+
+    async function saveLabels() {
+        if (!documentId) return;
+        try {
+            const record = {
+                labels: labels.slice(),
+                title: getDocumentTitle(),
+                url: getDefaultDocumentUrl(documentId, documentType),
+                type: documentType
+            };
+            lastKnownLabelsJson = JSON.stringify(labels);
+            await saveDocRecords({ [documentId]: record });
+            await updateMasterLabelList();
+            await refreshLabelDocs();
+        } catch (e) {
+            console.log('Google Docs Labels: Could not save labels', e);
+        }
+    }
+
+    async function loadLabels() {
+        if (!documentId) return;
+        try {
+            const record = await loadDocRecord(documentId);
+            labels = record ? record.labels : [];
+            lastKnownLabelsJson = JSON.stringify(labels);
+        } catch (e) {
+            console.log('Google Docs Labels: Could not load labels', e);
+            labels = [];
+            lastKnownLabelsJson = '[]';
+        }
+    }
+
+    // Only the labels on this document are looked up, so the cost doesn't grow with the whole store.
+    async function refreshLabelDocs() {
+        labelDocs = await loadLabelDocs(labels.slice());
+    }
 
-        const instructions = document.createElement('div');
-        instructions.style.cssText = 'margin-top: 12px; padding: 12px; background: #f8f9fa; border-radius: 4px; font-size: 13px; color: #5f6368;';
-        instructions.textContent = 'Paste the JSON that was exported by another user. This will add the label to the documents in your localStorage.';
+    async function checkAndReloadLabels() {
+        if (!documentId) return;
+        try {
+            const meta = await loadLabelMeta();
+            const metaChanged = JSON.stringify(meta) !== JSON.stringify(labelMeta);
+            labelMeta = meta;
 
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
+            const record = await loadDocRecord(documentId);
+            const currentLabels = record ? record.labels.slice() : [];
+            const currentJson = JSON.stringify(currentLabels);
+            const labelsChanged = currentJson !== lastKnownLabelsJson;
+            if (labelsChanged) {
+                labels = currentLabels;
+                lastKnownLabelsJson = currentJson;
+            }
 
-        const cancelBtn = document.createElement('button');
-        cancelBtn.textContent = 'Cancel';
-        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+            const previousDocsJson = JSON.stringify(labelDocs);
+            await refreshLabelDocs();
+            const docsChanged = JSON.stringify(labelDocs) !== previousDocsJson;
 
-        const importBtn = document.createElement('button');
-        importBtn.textContent = 'Import';
-        importBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+            if (labelsChanged) {
+                updateLabelsDisplay();
+                void updateMasterLabelList();
+            } else if (metaChanged || docsChanged) {
+                updateLabelsDisplay();
+            }
+        } catch (e) {
+            console.log('Google Docs Labels: Error checking for label changes', e);
+        }
+    }
 
-        buttonContainer.appendChild(cancelBtn);
-        buttonContainer.appendChild(importBtn);
-        dialog.appendChild(title);
-        dialog.appendChild(textArea);
-        dialog.appendChild(statusMsg);
-        dialog.appendChild(instructions);
-        dialog.appendChild(buttonContainer);
-        overlay.appendChild(dialog);
-        document.body.appendChild(overlay);
+    let liveUpdateTimer = null;
 
-        textArea.focus();
+    // This document's record, the lists behind its labels and label metadata are what the sidebar shows.
+    function isShownInSidebar(key) {
+        return key === EXT_DOC_KEY_PREFIX + documentId || key === EXT_LABEL_META_KEY ||
+            (key.startsWith(EXT_LABEL_DOCS_PREFIX) && labels.includes(key.slice(EXT_LABEL_DOCS_PREFIX.length)));
+    }
 
-        const closeDialog = () => overlay.remove();
-        cancelBtn.addEventListener('click', closeDialog);
+    function scheduleLabelsReload() {
+        clearTimeout(liveUpdateTimer);
+        liveUpdateTimer = setTimeout(() => { void checkAndReloadLabels(); }, LIVE_UPDATE_SETTLE_MS);
+    }
 
-        importBtn.addEventListener('click', () => {
-            const result = importLabel(textArea.value);
-            statusMsg.style.display = 'block';
-            if (result.success) {
-                statusMsg.style.background = '#e6f4ea';
-                statusMsg.style.color = '#137333';
-                statusMsg.textContent = result.message;
-                setTimeout(closeDialog, 2000);
-            } else {
-                statusMsg.style.background = '#fce8e6';
-                statusMsg.style.color = '#c5221f';
-                statusMsg.textContent = result.message;
+    // Renaming a document changes the tab title; once it settles, the stored record and its master
+    // entries pick up the new title. Documents without a record (never labeled) are left alone.
+    function watchDocumentTitle() {
+        let lastTitle = getDocumentTitle();
+        let timer = null;
+
+        async function storeTitle() {
+            // Still typing in the title field; committing the rename changes the tab title again
+            if (document.activeElement && document.activeElement.classList.contains('docs-title-input')) return;
+            const title = getDocumentTitle();
+            if (title === lastTitle) return;
+            lastTitle = title;
+            try {
+                const record = await loadDocRecord(documentId);
+                if (!record || record.title === title) return;
+                const updated = { [documentId]: Object.assign({}, record, { title: title }) };
+                await saveDocRecords(updated);
+                if (record.labels.length > 0) await updateMasterForDocs(updated);
+                await refreshLabelDocs();
+                updateLabelsDisplay();
+            } catch (e) {
+                console.log('Google Docs Labels: Could not update document title', e);
             }
+        }
+
+        // The head changes for many reasons (styles, scripts); only a different title restarts the wait
+        const observer = new MutationObserver(() => {
+            if (getDocumentTitle() === lastTitle) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => void storeTitle(), TITLE_SETTLE_MS);
         });
+        observer.observe(document.head, { childList: true, subtree: true, characterData: true });
+    }
 
-        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    // Reads from the labelDocs cache, so it can be used while rendering.
+    function findDocumentsWithLabel(labelName) {
+        return (labelDocs[labelName] || []).map((doc) => ({
+            id: doc.id,
+            title: doc.title,
+            url: doc.url,
+            type: getDocType(doc),
+            isCurrent: doc.id === documentId
+        }));
     }
 
-    function populateDocumentList(container, labelName) {
+    // With `onlyMatching`, lists just the documents whose titles match the sidebar filter.
+    function populateDocumentList(container, labelName, onlyMatching) {
         while (container.firstChild) container.removeChild(container.firstChild);
-        const documents = findDocumentsWithLabel(labelName);
+        let documents = findDocumentsWithLabel(labelName);
+        if (onlyMatching && labelFilterText) documents = documents.filter((doc) => fuzzyMatch(labelFilterText, doc.title));
 
         if (documents.length === 0) {
             const emptyMsg = document.createElement('div');
@@ -437,12 +2658,15 @@
             if (doc.isCurrent) {
                 docItem.style.color = '#1a73e8';
                 docItem.style.fontWeight = '500';
-                docItem.textContent = doc.title + ' (current)';
+                appendHighlightedText(docItem, doc.title, labelFilterText);
+                docItem.appendChild(document.createTextNode(' (current)'));
             } else {
                 const link = document.createElement('a');
                 link.href = doc.url;
-                link.textContent = doc.title;
+                if (doc.type !== 'document') link.appendChild(document.createTextNode(FILE_TYPES[doc.type].icon + ' '));
+                appendHighlightedText(link, doc.title, labelFilterText);
                 link.style.cssText = 'color: #202124; text-decoration: none;';
+                registerNavItem(docItem, () => link.click());
                 link.addEventListener('mouseenter', () => { link.style.textDecoration = 'underline'; });
                 link.addEventListener('mouseleave', () => { link.style.textDecoration = 'none'; });
                 docItem.appendChild(link);
@@ -460,13 +2684,27 @@
         while (labelsListContainer.firstChild) labelsListContainer.removeChild(labelsListContainer.firstChild);
 
         if (labels.length === 0) {
+            noLabelsMessage.textContent = 'No labels';
             noLabelsMessage.style.display = 'block';
             return;
         }
 
         noLabelsMessage.style.display = 'none';
+        let shownCount = 0;
 
         labels.forEach((label, index) => {
+            // While filtering, show labels whose name or document titles match; title hits auto-expand
+            let isExpanded = expandedLabels[label] || false;
+            let onlyMatching = false;
+            if (labelFilterText) {
+                const nameMatched = !!fuzzyMatch(labelFilterText, label);
+                const titleHit = findDocumentsWithLabel(label).some((doc) => fuzzyMatch(labelFilterText, doc.title));
+                if (!nameMatched && !titleHit) return;
+                if (titleHit) isExpanded = true;
+                onlyMatching = !nameMatched;
+            }
+            shownCount++;
+
             const labelContainer = document.createElement('div');
             labelContainer.className = 'gd-label-container';
 
@@ -505,17 +2743,18 @@
                 const targetIndex = parseInt(labelItem.dataset.index, 10);
                 if (draggedIndex !== null && targetIndex !== draggedIndex) {
                     const draggedLabel = labels[draggedIndex];
-                    labels.splice(draggedIndex, 1);
-                    labels.splice(targetIndex, 0, draggedLabel);
-                    saveLabels();
-                    updateLabelsDisplay();
+                    void runUndoable('Moved "' + draggedLabel + '"', { docIds: [documentId] }, async () => {
+                        labels = labels.filter((l) => l !== draggedLabel);
+                        labels.splice(targetIndex, 0, draggedLabel);
+                        updateLabelsDisplay();
+                        await saveLabels();
+                    });
                 }
             });
 
             labelItem.addEventListener('mouseenter', () => { labelItem.style.backgroundColor = '#f1f3f4'; });
             labelItem.addEventListener('mouseleave', () => { labelItem.style.backgroundColor = 'transparent'; });
 
-            const isExpanded = expandedLabels[label] || false;
             const expandBtn = document.createElement('span');
             expandBtn.style.cssText = 'color: #5f6368; cursor: pointer; margin-right: 8px; font-size: 10px; user-select: none; transition: transform 0.2s;';
             expandBtn.textContent = '▶';
@@ -527,23 +2766,48 @@
             dragHandle.textContent = '⋮⋮';
 
             const labelText = document.createElement('span');
-            labelText.style.cssText = 'flex: 1;';
-            labelText.textContent = label;
+            labelText.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            labelText.appendChild(createLabelChip(label, labelMeta[label], undefined, labelFilterText));
 
             const exportBtn = document.createElement('span');
             exportBtn.style.cssText = 'color: #5f6368; cursor: pointer; padding: 2px 6px; font-size: 11px;';
             exportBtn.textContent = '↑';
             exportBtn.title = 'Export label';
-            exportBtn.addEventListener('click', (e) => { e.stopPropagation(); showExportDialog(label); });
+            exportBtn.addEventListener('click', (e) => { e.stopPropagation(); void showExportDialog(label); });
 
             const removeBtn = document.createElement('span');
             removeBtn.style.cssText = 'color: #5f6368; cursor: pointer; padding: 2px 6px; font-size: 11px;';
             removeBtn.textContent = '×';
-            removeBtn.addEventListener('click', (e) => { e.stopPropagation(); labels.splice(index, 1); saveLabels(); updateLabelsDisplay(); });
+            removeBtn.title = 'Remove label';
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                void runUndoable('Removed "' + label + '"', { docIds: [documentId] }, async () => {
+                    labels = labels.filter((l) => l !== label);
+                    updateLabelsDisplay();
+                    await saveLabels();
+                });
+            });
+
+            const renameBtn = document.createElement('span');
+            renameBtn.style.cssText = 'color: #5f6368; cursor: pointer; padding: 2px 6px; font-size: 11px;';
+            renameBtn.textContent = '✎';
+            renameBtn.title = 'Rename label everywhere';
+            renameBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showRenameLabelDialog(label, async (newName) => {
+                    if (expandedLabels[label]) expandedLabels[newName] = true;
+                    delete expandedLabels[label];
+                    labelMeta = await loadLabelMeta();
+                    await loadLabels();
+                    await refreshLabelDocs();
+                    updateLabelsDisplay();
+                });
+            });
 
             labelItem.appendChild(expandBtn);
             labelItem.appendChild(dragHandle);
             labelItem.appendChild(labelText);
+            labelItem.appendChild(renameBtn);
             labelItem.appendChild(exportBtn);
             labelItem.appendChild(removeBtn);
             labelContainer.appendChild(labelItem);
@@ -552,20 +2816,72 @@
             docListContainer.style.cssText = 'padding-left: 32px; display: ' + (isExpanded ? 'block' : 'none') + '; max-height: 200px; overflow-y: auto;';
             labelContainer.appendChild(docListContainer);
 
-            if (isExpanded) populateDocumentList(docListContainer, label);
+            if (isExpanded) populateDocumentList(docListContainer, label, onlyMatching);
 
+            let nowExpanded = isExpanded;
             expandBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                expandedLabels[label] = !expandedLabels[label];
-                const nowExpanded = expandedLabels[label];
+                nowExpanded = !nowExpanded;
+                expandedLabels[label] = nowExpanded;
                 expandBtn.style.transform = nowExpanded ? 'rotate(90deg)' : 'rotate(0deg)';
                 docListContainer.style.display = nowExpanded ? 'block' : 'none';
-                if (nowExpanded) populateDocumentList(docListContainer, label);
+                if (nowExpanded) populateDocumentList(docListContainer, label, onlyMatching);
                 else while (docListContainer.firstChild) docListContainer.removeChild(docListContainer.firstChild);
             });
+            registerNavItem(labelItem, () => expandBtn.click());
 
             labelsListContainer.appendChild(labelContainer);
         });
+
+        if (shownCount === 0) {
+            noLabelsMessage.textContent = 'No matches';
+            noLabelsMessage.style.display = 'block';
+        }
+        if (sidebarNav) sidebarNav.refresh();
+    }
+
+    // Splits "a, b, c" into label names, dropping blanks and repeats.
+    function splitLabelInput(text) {
+        const names = [];
+        String(text || '').split(',').forEach((part) => {
+            const name = part.trim();
+            if (name && !names.includes(name)) names.push(name);
+        });
+        return names;
+    }
+
+    // Case, spacing, punctuation and word order are ignored: "Q3 Planning", "q3-planning" and
+    // "Planning Q3" all share a key.
+    function getLabelKey(labelName) {
+        return labelName.toLowerCase().split(/[^a-z0-9\u00c0-\uffff]+/).filter(Boolean).sort().join(' ');
+    }
+
+    // Edit distance where swapping two neighbouring characters counts as one edit.
+    function editDistance(a, b) {
+        let before = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const cur = [i];
+            for (let j = 1; j <= b.length; j++) {
+                cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], before[j - 2] + 1);
+            }
+            before = prev;
+            prev = cur;
+        }
+        return prev[b.length];
+    }
+
+    // Returns an existing label that `name` probably meant (same key, or a typo away), or null.
+    function findNearDuplicateLabel(name, existingLabels) {
+        if (existingLabels.includes(name)) return null;
+        const key = getLabelKey(name);
+        const sameKey = existingLabels.find((l) => getLabelKey(l) === key);
+        if (sameKey) return sameKey;
+        const lower = name.toLowerCase();
+        const maxDistance = lower.length >= 8 ? 2 : 1;
+        if (lower.length < 4) return null;
+        return existingLabels.find((l) => Math.abs(l.length - lower.length) <= maxDistance && editDistance(lower, l.toLowerCase()) <= maxDistance) || null;
     }
 
     function showAddLabelDialog() {
@@ -577,7 +2893,7 @@
         overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10000; display: flex; align-items: center; justify-content: center;';
 
         const dialog = document.createElement('div');
-        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 300px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 300px; max-width: 420px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
 
         const title = document.createElement('div');
         title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 16px;';
@@ -585,9 +2901,16 @@
 
         const input = document.createElement('input');
         input.type = 'text';
-        input.placeholder = 'Enter label name';
+        input.placeholder = 'Enter label name (separate several with commas)';
+        input.spellcheck = false;
         input.style.cssText = 'width: 100%; padding: 10px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 14px; box-sizing: border-box; outline: none;';
 
+        const suggestionList = document.createElement('div');
+        suggestionList.style.cssText = 'max-height: 200px; overflow-y: auto; margin-top: 4px;';
+
+        const message = document.createElement('div');
+        message.style.cssText = 'margin-top: 8px; font-size: 12px; display: none;';
+
         const buttonContainer = document.createElement('div');
         buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
 
@@ -603,6 +2926,8 @@
         buttonContainer.appendChild(addBtn);
         dialog.appendChild(title);
         dialog.appendChild(input);
+        dialog.appendChild(suggestionList);
+        dialog.appendChild(message);
         dialog.appendChild(buttonContainer);
         overlay.appendChild(dialog);
         document.body.appendChild(overlay);
@@ -611,33 +2936,172 @@
         const closeDialog = () => overlay.remove();
         cancelBtn.addEventListener('click', closeDialog);
 
+        let master = {};
+        let suggestions = [];
+        let activeSuggestion = -1;
+        let confirmedInput = null; // input text whose near-duplicate warning was already shown
+
+        void loadMasterData().then((data) => { master = data; });
+
+        // Only the part after the last comma is completed
+        function getCurrentSegment() {
+            const parts = input.value.split(',');
+            return parts[parts.length - 1].trim();
+        }
+
+        function renderSuggestions() {
+            while (suggestionList.firstChild) suggestionList.removeChild(suggestionList.firstChild);
+            const query = getCurrentSegment();
+            const typed = splitLabelInput(input.value);
+            suggestions = !query ? [] : Object.keys(master)
+                .filter((l) => !labels.includes(l) && (l === query || !typed.includes(l)))
+                .map((l) => ({ label: l, match: fuzzyMatch(query, l) }))
+                .filter((entry) => entry.match)
+                .sort((a, b) => b.match.score - a.match.score || (master[b.label] || []).length - (master[a.label] || []).length)
+                .slice(0, 8)
+                .map((entry) => entry.label);
+            if (suggestions.length === 1 && suggestions[0] === query) suggestions = [];
+            if (activeSuggestion >= suggestions.length) activeSuggestion = -1;
+
+            suggestions.forEach((labelName, index) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 8px; font-size: 13px; color: #202124; cursor: pointer; border-radius: 4px;' +
+                    (index === activeSuggestion ? ' background: #e8f0fe;' : '');
+                const chip = createLabelChip(labelName, labelMeta[labelName], undefined, query);
+                chip.style.flex = '1';
+                const count = document.createElement('span');
+                const n = (master[labelName] || []).length;
+                count.textContent = n + (n === 1 ? ' doc' : ' docs');
+                count.style.cssText = 'color: #80868b; font-size: 12px;';
+                row.appendChild(chip);
+                row.appendChild(count);
+                // mousedown keeps the focus in the input
+                row.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    acceptSuggestion(labelName);
+                });
+                suggestionList.appendChild(row);
+            });
+        }
+
+        function acceptSuggestion(labelName) {
+            const parts = input.value.split(',');
+            parts[parts.length - 1] = (parts.length > 1 ? ' ' : '') + labelName;
+            input.value = parts.join(',');
+            activeSuggestion = -1;
+            hideMessage();
+            renderSuggestions();
+            input.focus();
+        }
+
+        function hideMessage() {
+            message.style.display = 'none';
+            addBtn.textContent = 'Add';
+        }
+
+        function showMessage(lines, isError) {
+            while (message.firstChild) message.removeChild(message.firstChild);
+            lines.forEach((line) => message.appendChild(line));
+            message.style.color = isError ? '#c5221f' : '#b06000';
+            message.style.display = 'block';
+        }
+
+        function textLine(text) {
+            const line = document.createElement('div');
+            line.textContent = text;
+            return line;
+        }
+
+        // Near-duplicate warning with the suggested label as a one-click replacement
+        function didYouMeanLine(typed, existing) {
+            const line = document.createElement('div');
+            line.appendChild(document.createTextNode('"' + typed + '": did you mean '));
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = "'" + existing + "'";
+            link.style.cssText = 'color: #1a73e8;';
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                input.value = splitLabelInput(input.value).map((n) => (n === typed ? existing : n)).join(', ');
+                confirmedInput = null;
+                hideMessage();
+                renderSuggestions();
+                input.focus();
+            });
+            line.appendChild(link);
+            line.appendChild(document.createTextNode('?'));
+            return line;
+        }
+
         function doAdd() {
-            if (input.value && input.value.trim()) {
-                labels.push(input.value.trim());
-                saveLabels();
-                updateLabelsDisplay();
+            const names = splitLabelInput(input.value);
+            if (names.length === 0) { closeDialog(); return; }
+
+            // A case or spacing variant of a label the document already has is refused like an exact copy
+            const findOnDoc = (n) => labels.find((l) => l === n || (getLabelKey(n) !== '' && getLabelKey(l) === getLabelKey(n)));
+            const duplicates = names.filter((n) => findOnDoc(n));
+            if (duplicates.length > 0) {
+                showMessage(duplicates.map((n) => {
+                    const existing = findOnDoc(n);
+                    return textLine(existing === n ? 'This document already has "' + n + '".' : 'This document already has "' + existing + '", which "' + n + '" only differs from in case or spacing.');
+                }), true);
+                return;
+            }
+
+            if (confirmedInput !== input.value) {
+                const known = Object.keys(master).concat(labels.filter((l) => !master[l]));
+                const warnings = [];
+                names.forEach((n) => {
+                    const near = findNearDuplicateLabel(n, known.concat(names.filter((other) => other !== n)));
+                    if (near) warnings.push(didYouMeanLine(n, near));
+                });
+                if (warnings.length > 0) {
+                    confirmedInput = input.value;
+                    showMessage(warnings, false);
+                    addBtn.textContent = 'Add anyway';
+                    return;
+                }
             }
+
+            names.forEach((n) => labels.push(n));
+            void saveLabels();
+            updateLabelsDisplay();
             closeDialog();
         }
 
         addBtn.addEventListener('click', doAdd);
+        input.addEventListener('input', () => {
+            activeSuggestion = -1;
+            if (confirmedInput !== input.value) hideMessage();
+            renderSuggestions();
+        });
         input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') doAdd();
-            else if (e.key === 'Escape') closeDialog();
+            e.stopPropagation();
+            if (e.key === 'ArrowDown' && suggestions.length > 0) {
+                e.preventDefault();
+                activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+                renderSuggestions();
+            } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+                e.preventDefault();
+                activeSuggestion = activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1;
+                renderSuggestions();
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && activeSuggestion >= 0) {
+                e.preventDefault();
+                acceptSuggestion(suggestions[activeSuggestion]);
+            } else if (e.key === 'Enter') {
+                doAdd();
+            } else if (e.key === 'Escape') {
+                closeDialog();
+            }
         });
         overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
     }
 
-    function createLabelsSection(documentTabsSection) {
-        const parentContainer = documentTabsSection.parentElement;
-        if (!parentContainer) return;
-        if (document.querySelector('#gd-labels-section')) return;
-
+    // Builds the Labels section (header, filter, list) and wires it to the module state.
+    function buildLabelsSection(sectionCss) {
         const labelsSection = document.createElement('div');
         labelsSection.id = 'gd-labels-section';
-
-        const computedStyle = window.getComputedStyle(documentTabsSection);
-        labelsSection.style.cssText = `margin-bottom: ${computedStyle.marginBottom}; padding: ${computedStyle.padding}; background: #fff;`;
+        labelsSection.style.cssText = sectionCss;
 
         const headerRow = document.createElement('div');
         headerRow.style.cssText = 'display: flex; align-items: center; justify-content: space-between; padding: 8px 16px;';
@@ -653,7 +3117,7 @@
         importButton.textContent = '↓';
         importButton.style.cssText = 'border: none; background: transparent; color: #5f6368; font-size: 14px; cursor: pointer; padding: 0 4px; line-height: 1;';
         importButton.title = 'Import label';
-        importButton.addEventListener('click', showImportDialog);
+        importButton.addEventListener('click', () => showImportDialog());
 
         const plusButton = document.createElement('button');
         plusButton.textContent = '+';
@@ -667,6 +3131,13 @@
         headerRow.appendChild(buttonGroup);
         labelsSection.appendChild(headerRow);
 
+        const filterInput = document.createElement('input');
+        filterInput.type = 'text';
+        filterInput.placeholder = 'Filter labels and docs…';
+        filterInput.spellcheck = false;
+        filterInput.style.cssText = 'display: block; width: calc(100% - 48px); margin: 0 16px 4px 32px; padding: 3px 8px; border: 1px solid #dadce0; border-radius: 4px; font-size: 12px; box-sizing: border-box; outline: none;';
+        labelsSection.appendChild(filterInput);
+
         noLabelsMessage = document.createElement('div');
         noLabelsMessage.textContent = 'No labels';
         noLabelsMessage.style.cssText = 'padding: 4px 16px 4px 32px; color: #5f6368; font-size: 12px; font-style: italic;';
@@ -677,19 +3148,113 @@
         labelsListContainer.style.cssText = 'padding-left: 16px;';
         labelsSection.appendChild(labelsListContainer);
 
+        enableLabelFileDrop(labelsSection);
+
+        sidebarNav = createKeyboardNav(labelsListContainer);
+        attachKeyboardNav(filterInput, sidebarNav);
+        filterInput.addEventListener('input', () => {
+            clearTimeout(labelFilterTimer);
+            labelFilterTimer = setTimeout(() => {
+                labelFilterText = filterInput.value.trim();
+                sidebarNav.reset();
+                updateLabelsDisplay();
+            }, FILTER_SETTLE_MS);
+        });
+        filterInput.addEventListener('keydown', (e) => {
+            // Keep typing out of the document editor
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                clearTimeout(labelFilterTimer);
+                filterInput.value = '';
+                labelFilterText = '';
+                sidebarNav.reset();
+                updateLabelsDisplay();
+            }
+        });
+
+        return labelsSection;
+    }
+
+    function startLabelsSection() {
+        // Legacy localStorage labels must be in the store before this doc's labels are read or re-indexed.
+        void (async () => {
+            await migrateLegacyLabels();
+            labelMeta = await loadLabelMeta();
+            await loadLabels();
+            await refreshLabelDocs();
+            void updateMasterLabelList();
+            updateLabelsDisplay();
+        })();
+
+        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') void checkAndReloadLabels(); });
+        window.addEventListener('focus', () => { void checkAndReloadLabels(); });
+
+        // Edits from other tabs, Drive and the context menu show up as soon as they are stored
+        try {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && documentId && Object.keys(changes).some(isShownInSidebar)) scheduleLabelsReload();
+            });
+        } catch (e) {}
+    }
+
+    function createLabelsSection(documentTabsSection) {
+        const parentContainer = documentTabsSection.parentElement;
+        if (!parentContainer) return;
+        if (document.querySelector('#gd-labels-section')) return;
+
+        const computedStyle = window.getComputedStyle(documentTabsSection);
+        const labelsSection = buildLabelsSection(`margin-bottom: ${computedStyle.marginBottom}; padding: ${computedStyle.padding}; background: #fff;`);
         parentContainer.insertBefore(labelsSection, documentTabsSection);
+        startLabelsSection();
+    }
 
-        loadLabels();
-        void updateMasterLabelList();
-        updateLabelsDisplay();
+    // Sheets, Slides, Forms and Drawings have no "Document tabs" sidebar, so the same section lives in
+    // a small collapsible panel in the bottom-right corner instead.
+    function createFloatingLabelsPanel() {
+        if (document.querySelector('#gd-labels-section')) return;
 
-        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') checkAndReloadLabels(); });
-        window.addEventListener('focus', () => checkAndReloadLabels());
+        const panel = document.createElement('div');
+        panel.id = 'gd-labels-floating';
+        panel.style.cssText = 'position: fixed; right: 16px; bottom: 48px; z-index: 999; width: 280px; background: #fff; border: 1px solid #dadce0; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.2); font-family: Roboto, Arial, sans-serif; overflow: hidden;';
+
+        const toggle = document.createElement('button');
+        toggle.style.cssText = 'display: flex; align-items: center; gap: 6px; width: 100%; border: none; background: #f8f9fa; padding: 8px 12px; font-size: 13px; font-weight: 500; color: #202124; cursor: pointer; text-align: left;';
+        const toggleText = document.createElement('span');
+        toggleText.style.cssText = 'flex: 1;';
+        toggleText.textContent = '🏷 Labels';
+        const toggleArrow = document.createElement('span');
+        toggleArrow.style.cssText = 'color: #5f6368; font-size: 10px;';
+        toggleArrow.textContent = '▲';
+        toggle.appendChild(toggleText);
+        toggle.appendChild(toggleArrow);
+
+        const labelsSection = buildLabelsSection('padding: 0 0 8px; background: #fff; max-height: 50vh; overflow-y: auto; display: none;');
+
+        toggle.addEventListener('click', () => {
+            const open = labelsSection.style.display === 'none';
+            labelsSection.style.display = open ? 'block' : 'none';
+            toggleArrow.textContent = open ? '▼' : '▲';
+        });
+
+        panel.appendChild(toggle);
+        panel.appendChild(labelsSection);
+        document.body.appendChild(panel);
+        startLabelsSection();
     }
 
+    // Runs on every docs.google.com editor page (Docs, Sheets, Slides, Forms, Drawings).
     function initDocs() {
         documentId = getDocumentId();
         if (!documentId) return;
+        documentType = getDocumentTypeFromUrl(window.location.pathname);
+        void requestSync(false);
+        listenForBackgroundMessages();
+        watchDocumentTitle();
+
+        if (documentType !== 'document') {
+            createFloatingLabelsPanel();
+            return;
+        }
 
         const observer = new MutationObserver((mutations, obs) => {
             const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
@@ -710,30 +3275,257 @@
         });
 
         observer.observe(document.body, { childList: true, subtree: true });
-        setTimeout(() => observer.disconnect(), 30000);
+        setTimeout(() => {
+            observer.disconnect();
+            // No sidebar showed up (e.g. it is hidden); fall back to the floating panel
+            createFloatingLabelsPanel();
+        }, 30000);
     }
 
     // -----------------------------
-    // Google Drive overlay + injection
+    // Command palette (Docs)
     // -----------------------------
 
-    async function showDriveLabelsOverlay() {
-        const existing = document.querySelector('#gd-labels-overlay');
+    const PALETTE_RESULT_LIMIT = 40;
+
+    // Every command the palette can offer for the current document, ranked against `query`.
+    // Each is { kind, title, subject, detail, run }; `subject` is the text the query is matched against.
+    function getPaletteCommands(query, master) {
+        const commands = [];
+        const trimmed = query.trim();
+
+        labels.forEach((labelName) => {
+            commands.push({ kind: 'remove', title: 'Remove label', subject: labelName, detail: 'on this document', run: async () => {
+                await runUndoable('Removed "' + labelName + '"', { docIds: [documentId] }, async () => {
+                    labels = labels.filter((l) => l !== labelName);
+                    await saveLabels();
+                    updateLabelsDisplay();
+                });
+                return 'Removed "' + labelName + '"';
+            } });
+        });
+
+        Object.keys(master).sort().forEach((labelName) => {
+            if (labels.includes(labelName)) return;
+            const count = (master[labelName] || []).length;
+            commands.push({ kind: 'add', title: 'Add label', subject: labelName, detail: count + (count === 1 ? ' doc' : ' docs'), run: async () => {
+                labels.push(labelName);
+                await saveLabels();
+                updateLabelsDisplay();
+                return 'Added "' + labelName + '"';
+            } });
+        });
+
+        if (trimmed && !labels.concat(Object.keys(master)).some((l) => l.toLowerCase() === trimmed.toLowerCase())) {
+            commands.push({ kind: 'new', title: 'Add new label', subject: trimmed, detail: '', run: async () => {
+                labels.push(trimmed);
+                await saveLabels();
+                updateLabelsDisplay();
+                return 'Added "' + trimmed + '"';
+            } });
+        }
+
+        // Documents that share at least one label with this one
+        const sharing = {};
+        labels.forEach((labelName) => {
+            (labelDocs[labelName] || []).forEach((doc) => {
+                if (doc.id === documentId) return;
+                if (!sharing[doc.id]) sharing[doc.id] = { doc: doc, shared: [] };
+                sharing[doc.id].shared.push(labelName);
+            });
+        });
+        Object.keys(sharing).forEach((docId) => {
+            const { doc, shared } = sharing[docId];
+            commands.push({ kind: 'open', title: 'Open', subject: doc.title, detail: shared.join(', '), run: () => {
+                window.location.href = doc.url;
+                return null;
+            } });
+        });
+
+        commands.push({ kind: 'drive', title: 'Open', subject: 'Drive labels overview', detail: 'in a new tab', run: () => {
+            window.open(DRIVE_LABELS_URL, '_blank');
+            return null;
+        } });
+
+        commands.push({ kind: 'check', title: 'Run', subject: 'Check & repair labels', detail: '', run: () => {
+            showIntegrityDialog(async () => {
+                await loadLabels();
+                await refreshLabelDocs();
+                updateLabelsDisplay();
+            });
+            return null;
+        } });
+
+        if (!trimmed) return commands.slice(0, PALETTE_RESULT_LIMIT);
+
+        // A jump also matches on the labels it shares
+        return commands
+            .map((command) => {
+                const match = fuzzyMatch(trimmed, command.subject) || (command.kind === 'open' && fuzzyMatch(trimmed, command.detail) ? { score: 0 } : null);
+                return match ? { command: command, score: match.score + (command.kind === 'new' ? -1000 : 0) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, PALETTE_RESULT_LIMIT)
+            .map((entry) => entry.command);
+    }
+
+    async function showCommandPalette() {
+        const existing = document.querySelector('#gd-label-palette');
         if (existing) { existing.remove(); return; }
+        if (!documentId) return;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-palette';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.25); z-index: 10000; display: flex; justify-content: center; align-items: flex-start; padding-top: 12vh;';
+
+        const panel = document.createElement('div');
+        panel.style.cssText = 'background: white; border-radius: 8px; width: 520px; max-width: 90vw; box-shadow: 0 8px 32px rgba(0,0,0,0.3); overflow: hidden; font-family: Roboto, Arial, sans-serif;';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Add or remove a label, or jump to a document…';
+        input.spellcheck = false;
+        input.style.cssText = 'width: 100%; padding: 14px 16px; border: none; border-bottom: 1px solid #e8eaed; font-size: 15px; box-sizing: border-box; outline: none;';
+
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 50vh; overflow-y: auto; padding: 4px 0;';
+
+        const status = document.createElement('div');
+        status.style.cssText = 'padding: 6px 16px; font-size: 12px; color: #5f6368; border-top: 1px solid #e8eaed;';
+        status.textContent = '↑↓ to move · Enter to run · Esc to close';
+
+        panel.appendChild(input);
+        panel.appendChild(list);
+        panel.appendChild(status);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
+        input.focus();
+
+        const nav = createKeyboardNav(list);
+        const closePalette = () => overlay.remove();
+        let master = {};
+
+        function renderCommands() {
+            while (list.firstChild) list.removeChild(list.firstChild);
+            const query = input.value;
+            const commands = getPaletteCommands(query, master);
+            commands.forEach((command) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 8px 16px; font-size: 14px; color: #202124; cursor: pointer;';
+
+                const kind = document.createElement('span');
+                kind.textContent = command.title;
+                kind.style.cssText = 'color: #5f6368; font-size: 12px; flex-shrink: 0; min-width: 84px;';
+
+                const subject = document.createElement('span');
+                subject.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                if (command.kind === 'add' || command.kind === 'remove') subject.appendChild(createLabelChip(command.subject, labelMeta[command.subject], undefined, query.trim()));
+                else appendHighlightedText(subject, command.subject, query.trim());
+
+                const detail = document.createElement('span');
+                detail.textContent = command.detail;
+                detail.style.cssText = 'color: #80868b; font-size: 12px; flex-shrink: 0; max-width: 40%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+                row.appendChild(kind);
+                row.appendChild(subject);
+                row.appendChild(detail);
+
+                const runCommand = async () => {
+                    const message = await command.run();
+                    if (message === null) { closePalette(); return; }
+                    status.textContent = message;
+                    input.value = '';
+                    master = await loadMasterData();
+                    nav.reset();
+                    renderCommands();
+                    input.focus();
+                };
+                row.addEventListener('mouseenter', () => { row.style.background = '#f1f3f4'; });
+                row.addEventListener('mouseleave', () => { row.style.background = ''; });
+                row.addEventListener('click', () => { void runCommand(); });
+                registerNavItem(row, () => { void runCommand(); });
+                list.appendChild(row);
+            });
+            if (commands.length === 0) {
+                const none = document.createElement('div');
+                none.style.cssText = 'padding: 12px 16px; font-size: 13px; color: #5f6368; font-style: italic;';
+                none.textContent = 'No matching commands';
+                list.appendChild(none);
+            }
+            // Keep Enter on the best match
+            nav.move(1);
+        }
+
+        input.addEventListener('input', () => {
+            nav.reset();
+            renderCommands();
+        });
+        attachKeyboardNav(input, nav);
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') closePalette();
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closePalette(); });
+
+        await checkAndReloadLabels();
+        master = await loadMasterData();
+        if (labelMeta && Object.keys(labelMeta).length === 0) labelMeta = await loadLabelMeta();
+        renderCommands();
+    }
 
-        let masterData = await storageGet(EXT_MASTER_KEY, {});
-        if (Array.isArray(masterData)) {
-            const converted = {};
-            masterData.forEach((l) => { converted[l] = []; });
-            masterData = converted;
+    // Commands and context-menu updates arrive from the background worker.
+    function listenForBackgroundMessages() {
+        try {
+            chrome.runtime.onMessage.addListener((message) => {
+                if (!message) return;
+                if (message.type === 'gd-labels-changed' && message.docId === documentId) void checkAndReloadLabels();
+                if (message.type === 'gd-open-palette') {
+                    if (isGoogleDrive()) void showDriveLabelsOverlay();
+                    else void showCommandPalette();
+                }
+                if (message.type === 'gd-open-overlay' && isGoogleDrive()) void showDriveLabelsOverlay();
+            });
+        } catch (e) {}
+    }
+
+    // -----------------------------
+    // Google Drive overlay + injection
+    // -----------------------------
+
+    // The overlay body is a virtual list: every kind of row has a fixed height, and only the rows
+    // in or near the viewport are in the DOM.
+    const OVERLAY_ROW_HEIGHTS = { gap: 8, message: 68, category: 40, hint: 38, label: 37, nodocs: 26, doc: 26, summary: 32, result: 58 };
+    const OVERLAY_OVERSCAN_PX = 400;
+
+    // `initialQuery` opens the overlay with the query bar already filled in (e.g. from a file list chip).
+    async function showDriveLabelsOverlay(initialQuery) {
+        const existing = document.querySelector('#gd-labels-overlay');
+        if (existing) {
+            existing.remove();
+            if (!initialQuery) return;
         }
-        const labelNames = Object.keys(masterData || {}).sort();
-        const catConfig = await loadCategoryConfig();
+
+        let masterData = await loadMasterData();
+        let labelNames = Object.keys(masterData).sort();
+        let catConfig = await loadCategoryConfig();
+        let metaData = await loadLabelMeta();
         const expanded = {};
+        let filterCollapsed = {}; // rows collapsed by hand while the current filter forces them open
+        let selected = {};
+
+        async function reloadData() {
+            masterData = await loadMasterData();
+            labelNames = Object.keys(masterData).sort();
+            catConfig = await loadCategoryConfig();
+            metaData = await loadLabelMeta();
+        }
 
-        // Cleanup stale assignments
-        Object.keys(catConfig.assignments).forEach((l) => { if (!masterData[l]) delete catConfig.assignments[l]; });
-        void saveCategoryConfig(catConfig);
+        // Cleanup stale assignments (only save when something changed, so opening the overlay
+        // does not count as a category edit for sync)
+        const staleAssignments = Object.keys(catConfig.assignments).filter((l) => !masterData[l]);
+        staleAssignments.forEach((l) => { delete catConfig.assignments[l]; });
+        if (staleAssignments.length > 0) void saveCategoryConfig(catConfig);
 
         function getGrouped() {
             const groups = {};
@@ -770,34 +3562,227 @@
         const headerBtns = document.createElement('div');
         headerBtns.style.cssText = 'display:flex;align-items:center;gap:8px;';
 
+        const mergeBtn = document.createElement('button');
+        mergeBtn.style.cssText = 'border:1px solid #dadce0;background:#fff;color:#1a73e8;font-size:13px;font-weight:500;cursor:pointer;border-radius:4px;padding:6px 14px;display:none;';
+
+        function getSelectedLabels() {
+            return labelNames.filter((l) => selected[l]);
+        }
+
+        function updateMergeButton() {
+            const count = getSelectedLabels().length;
+            mergeBtn.textContent = 'Merge ' + count;
+            mergeBtn.style.display = count >= 2 ? 'inline-block' : 'none';
+            exportBtn.title = count > 0 ? 'Export the ' + count + ' selected label' + (count === 1 ? '' : 's') : 'Export the labels shown';
+        }
+
+        const exportBtn = document.createElement('button');
+        exportBtn.textContent = '↑';
+        exportBtn.title = 'Export the labels shown';
+        exportBtn.style.cssText = 'border:1px solid #dadce0;background:#fff;color:#5f6368;font-size:14px;cursor:pointer;border-radius:4px;padding:5px 10px;line-height:1;';
+        exportBtn.addEventListener('click', () => {
+            // Without a selection, export what the filters currently show
+            const toExport = getSelectedLabels().length > 0 ? getSelectedLabels() : labelNames.filter(isLabelVisible);
+            if (toExport.length > 0) void showExportDialog(toExport);
+        });
+
+        const importBtn = document.createElement('button');
+        importBtn.textContent = '↓';
+        importBtn.title = 'Import labels';
+        importBtn.style.cssText = 'border:1px solid #dadce0;background:#fff;color:#5f6368;font-size:14px;cursor:pointer;border-radius:4px;padding:5px 10px;line-height:1;';
+        importBtn.addEventListener('click', () => {
+            showImportDialog(async () => {
+                await reloadData();
+                render();
+            });
+        });
+
+        const syncBtn = document.createElement('button');
+        syncBtn.textContent = '☁';
+        syncBtn.title = 'Sync settings';
+        syncBtn.style.cssText = 'border:1px solid #dadce0;background:#fff;color:#5f6368;font-size:14px;cursor:pointer;border-radius:4px;padding:5px 10px;line-height:1;';
+        syncBtn.addEventListener('click', showSyncDialog);
+        void loadSyncSettings().then((settings) => {
+            if (!settings.enabled) syncBtn.title = 'Sync is off. Click to set up';
+            else if (settings.lastError) { syncBtn.title = 'Sync error: ' + settings.lastError; syncBtn.style.color = '#d93025'; }
+            else { syncBtn.title = 'Synced' + (settings.lastSyncedAt ? ' ' + formatTimeAgo(settings.lastSyncedAt) : ''); syncBtn.style.color = '#1a73e8'; }
+        });
+
+        const checkBtn = document.createElement('button');
+        checkBtn.textContent = '✓';
+        checkBtn.title = 'Check & repair';
+        checkBtn.style.cssText = 'border:1px solid #dadce0;background:#fff;color:#5f6368;font-size:14px;cursor:pointer;border-radius:4px;padding:5px 10px;line-height:1;';
+        checkBtn.addEventListener('click', () => showIntegrityDialog(reloadAndRender));
+
         const addCatBtn = document.createElement('button');
         addCatBtn.textContent = '+ Category';
         addCatBtn.style.cssText = 'border:1px solid #dadce0;background:#fff;color:#1a73e8;font-size:13px;font-weight:500;cursor:pointer;border-radius:4px;padding:6px 14px;';
 
-        const closeBtn = document.createElement('button');
-        closeBtn.textContent = '×';
-        closeBtn.style.cssText = 'border:none;background:transparent;font-size:24px;cursor:pointer;color:#5f6368;padding:4px 8px;border-radius:50%;line-height:1;';
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '×';
+        closeBtn.style.cssText = 'border:none;background:transparent;font-size:24px;cursor:pointer;color:#5f6368;padding:4px 8px;border-radius:50%;line-height:1;';
+
+        headerBtns.appendChild(mergeBtn);
+        headerBtns.appendChild(exportBtn);
+        headerBtns.appendChild(importBtn);
+        headerBtns.appendChild(syncBtn);
+        headerBtns.appendChild(checkBtn);
+        headerBtns.appendChild(addCatBtn);
+        headerBtns.appendChild(closeBtn);
+        header.appendChild(title);
+        header.appendChild(headerBtns);
+        panel.appendChild(header);
+
+        const queryBar = document.createElement('div');
+        queryBar.style.cssText = 'padding:12px 24px 8px;border-bottom:1px solid #e8eaed;flex-shrink:0;';
+
+        const filterInput = document.createElement('input');
+        filterInput.type = 'text';
+        filterInput.placeholder = 'Filter labels and documents…';
+        filterInput.spellcheck = false;
+        filterInput.style.cssText = 'width:100%;padding:8px 12px;border:1px solid #dadce0;border-radius:4px;font-size:13px;box-sizing:border-box;outline:none;margin-bottom:8px;';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.title = 'Show only this file type';
+        typeSelect.style.cssText = 'padding:7px 8px;border:1px solid #dadce0;border-radius:4px;font-size:13px;background:#fff;color:#202124;flex-shrink:0;';
+        [['', 'All types']].concat(Object.keys(FILE_TYPES).map((t) => [t, FILE_TYPES[t].icon + ' ' + FILE_TYPES[t].name])).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            typeSelect.appendChild(option);
+        });
+
+        const filterRow = document.createElement('div');
+        filterRow.style.cssText = 'display:flex;gap:8px;margin-bottom:8px;';
+        filterInput.style.marginBottom = '0';
+
+        const queryInput = document.createElement('input');
+        queryInput.type = 'text';
+        queryInput.placeholder = 'Query, e.g. Contract AND Acme AND NOT "Q3 Planning"';
+        queryInput.spellcheck = false;
+        queryInput.style.cssText = 'width:100%;padding:8px 12px;border:1px solid #dadce0;border-radius:4px;font-size:13px;font-family:monospace;box-sizing:border-box;outline:none;';
+
+        const queryError = document.createElement('div');
+        queryError.style.cssText = 'display:none;margin-top:6px;font-size:12px;color:#c5221f;';
+
+        filterRow.appendChild(filterInput);
+        filterRow.appendChild(typeSelect);
+        queryBar.appendChild(filterRow);
+        queryBar.appendChild(queryInput);
+        queryBar.appendChild(queryError);
+        panel.appendChild(queryBar);
+
+        let queryAst = null;
+        let filterText = '';
+        let typeFilter = '';
+
+        typeSelect.addEventListener('change', () => {
+            typeFilter = typeSelect.value;
+            nav.reset();
+            render();
+        });
+
+        filterInput.addEventListener('input', () => {
+            filterText = filterInput.value.trim();
+            filterCollapsed = {};
+            nav.reset();
+            render();
+        });
+
+        function resolveQueryLabel(name) {
+            if (masterData[name]) return name;
+            const lower = name.toLowerCase();
+            const matches = labelNames.filter((l) => l.toLowerCase() === lower);
+            return matches.length === 1 ? matches[0] : null;
+        }
+
+        function showQueryError(text, error) {
+            while (queryError.firstChild) queryError.removeChild(queryError.firstChild);
+            const message = document.createElement('div');
+            message.textContent = error.message;
+
+            // Echo the query with the offending token highlighted
+            const echo = document.createElement('div');
+            echo.style.cssText = 'font-family:monospace;white-space:pre;color:#202124;margin-top:2px;overflow-x:auto;';
+            const end = Math.max(error.end, error.start + 1);
+            echo.appendChild(document.createTextNode(text.slice(0, error.start)));
+            const bad = document.createElement('span');
+            bad.style.cssText = 'background:#fce8e6;color:#c5221f;text-decoration:underline wavy #c5221f;';
+            bad.textContent = error.start >= text.length ? ' ' : text.slice(error.start, end);
+            echo.appendChild(bad);
+            echo.appendChild(document.createTextNode(text.slice(end)));
+
+            queryError.appendChild(message);
+            queryError.appendChild(echo);
+            queryError.style.display = 'block';
+        }
+
+        function runQuery() {
+            const text = queryInput.value;
+            const result = parseLabelQuery(text, resolveQueryLabel);
+            if (result.error) {
+                showQueryError(text, result.error);
+                queryAst = null;
+            } else {
+                queryError.style.display = 'none';
+                queryAst = result.ast;
+            }
+            render();
+        }
 
-        headerBtns.appendChild(addCatBtn);
-        headerBtns.appendChild(closeBtn);
-        header.appendChild(title);
-        header.appendChild(headerBtns);
-        panel.appendChild(header);
+        let queryTimer = null;
+        queryInput.addEventListener('input', () => {
+            clearTimeout(queryTimer);
+            queryTimer = setTimeout(runQuery, 250);
+        });
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { clearTimeout(queryTimer); runQuery(); }
+        });
 
         const bodyEl = document.createElement('div');
-        bodyEl.style.cssText = 'overflow-y:auto;padding:8px 0;';
+        bodyEl.style.cssText = 'overflow-y:auto;position:relative;';
+        const canvas = document.createElement('div');
+        canvas.style.cssText = 'position:relative;';
+        bodyEl.appendChild(canvas);
         panel.appendChild(bodyEl);
         overlay.appendChild(panel);
 
+        enableLabelFileDrop(panel, async () => {
+            await reloadData();
+            render();
+        });
+
+        // Arrow keys in the filter field walk the visible label rows and document links
+        const nav = createKeyboardNav(bodyEl);
+        attachKeyboardNav(filterInput, nav);
+
+        // Virtual list state: the flat row model, each row's offset, and the rows in the DOM by key
+        let rows = [];
+        let offsets = [];
+        const mounted = new Map(); // key -> {el,row,sig,background}
+
         // Custom mouse drag state
-        let drag = { active: false, label: null, ghost: null, sourceEl: null };
-        let catSections = []; // {el,name}
+        let drag = { active: false, labels: [], ghost: null, sourceKey: null, targetCat: null };
+
+        // Drag styling lives on the row elements, so it is re-applied to rows mounted mid-drag
+        function applyDragStyle(entry) {
+            const inTarget = drag.active && entry.row.cat !== null && entry.row.cat === drag.targetCat;
+            entry.el.style.background = inTarget ? '#e8f0fe' : entry.background;
+            entry.el.style.opacity = drag.active && entry.row.key === drag.sourceKey ? '0.4' : '1';
+        }
 
         function cleanupDrag() {
             if (drag.ghost && drag.ghost.parentNode) drag.ghost.parentNode.removeChild(drag.ghost);
-            if (drag.sourceEl) drag.sourceEl.style.opacity = '1';
-            catSections.forEach((c) => { c.el.style.boxShadow = 'none'; c.el.style.background = ''; });
-            drag = { active: false, label: null, ghost: null, sourceEl: null };
+            drag = { active: false, labels: [], ghost: null, sourceKey: null, targetCat: null };
+            mounted.forEach(applyDragStyle);
+        }
+
+        // The category of the row under the pointer (the ghost ignores pointer events)
+        function findDropCategory(e) {
+            const target = document.elementFromPoint(e.clientX, e.clientY);
+            const rowEl = target && target.closest ? target.closest('[data-gd-row]') : null;
+            const entry = rowEl && canvas.contains(rowEl) ? mounted.get(rowEl.dataset.gdRow) : null;
+            return entry ? entry.row.cat : null;
         }
 
         function onMouseMove(e) {
@@ -805,26 +3790,27 @@
             e.preventDefault();
             drag.ghost.style.left = (e.clientX + 12) + 'px';
             drag.ghost.style.top = (e.clientY - 14) + 'px';
-            catSections.forEach((c) => {
-                const r = c.el.getBoundingClientRect();
-                const inside = e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom;
-                c.el.style.boxShadow = inside ? '0 0 0 2px #1a73e8' : 'none';
-                c.el.style.background = inside ? '#e8f0fe' : '';
-            });
+            const targetCat = findDropCategory(e);
+            if (targetCat !== drag.targetCat) {
+                drag.targetCat = targetCat;
+                mounted.forEach(applyDragStyle);
+            }
         }
 
         async function onMouseUp(e) {
             if (!drag.active) return;
-            let targetCat = null;
-            catSections.forEach((c) => {
-                const r = c.el.getBoundingClientRect();
-                if (e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom) targetCat = c.name;
-            });
-
-            if (targetCat !== null && drag.label) {
-                if (targetCat === 'Un-Categorized') delete catConfig.assignments[drag.label];
-                else catConfig.assignments[drag.label] = targetCat;
-                await saveCategoryConfig(catConfig);
+            const targetCat = findDropCategory(e);
+
+            const movedLabels = drag.labels.filter((labelName) => (catConfig.assignments[labelName] || 'Un-Categorized') !== targetCat);
+            if (targetCat !== null && movedLabels.length > 0) {
+                const description = (movedLabels.length === 1 ? 'Moved "' + movedLabels[0] + '"' : 'Moved ' + movedLabels.length + ' labels') + ' to ' + targetCat;
+                await runUndoable(description, { categories: true }, async () => {
+                    movedLabels.forEach((labelName) => {
+                        if (targetCat === 'Un-Categorized') delete catConfig.assignments[labelName];
+                        else catConfig.assignments[labelName] = targetCat;
+                    });
+                    await saveCategoryConfig(catConfig);
+                }, reloadAndRender);
             }
 
             cleanupDrag();
@@ -833,16 +3819,16 @@
             if (targetCat !== null) render();
         }
 
-        function startDrag(e, labelName, itemEl) {
+        function startDrag(e, labelsToMove, displayName, sourceKey) {
             e.preventDefault();
             drag.active = true;
-            drag.label = labelName;
-            drag.sourceEl = itemEl;
-            itemEl.style.opacity = '0.4';
+            drag.labels = labelsToMove;
+            drag.sourceKey = sourceKey;
+            mounted.forEach(applyDragStyle);
 
             const ghost = document.createElement('div');
             ghost.style.cssText = 'position:fixed;z-index:10002;padding:6px 14px;background:#fff;border:1px solid #dadce0;border-radius:6px;box-shadow:0 2px 8px rgba(0,0,0,0.2);font-size:13px;color:#202124;pointer-events:none;white-space:nowrap;';
-            ghost.textContent = labelName;
+            ghost.textContent = labelsToMove.length > 1 ? displayName + ' (' + labelsToMove.length + ' labels)' : displayName;
             ghost.style.left = (e.clientX + 12) + 'px';
             ghost.style.top = (e.clientY - 14) + 'px';
             document.body.appendChild(ghost);
@@ -852,142 +3838,497 @@
             document.addEventListener('mouseup', onMouseUp, true);
         }
 
-        function render() {
-            while (bodyEl.firstChild) bodyEl.removeChild(bodyEl.firstChild);
-            catSections = [];
+        function getSubtreeDocs(node) {
+            const docs = [];
+            collectTreeLabels(node).forEach((labelName) => {
+                (masterData[labelName] || []).forEach((doc) => {
+                    if (doc && !docs.some((d) => d.id === doc.id)) docs.push(doc);
+                });
+            });
+            return docs;
+        }
+
+        function titleMatches(doc) {
+            return !!fuzzyMatch(filterText, doc.title || '');
+        }
+
+        function typeMatches(doc) {
+            return !typeFilter || getDocType(doc) === typeFilter;
+        }
+
+        // While filtering, a label is shown when its name or any of its documents' titles match.
+        // With a type selected, only labels that have documents of that type are shown.
+        function isLabelVisible(labelName) {
+            const docs = (masterData[labelName] || []).filter((doc) => doc && typeMatches(doc));
+            if (typeFilter && docs.length === 0) return false;
+            if (!filterText) return true;
+            return !!fuzzyMatch(filterText, labelName) || docs.some(titleMatches);
+        }
+
+        function createDocActionButton(text, titleText, onClick) {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.title = titleText;
+            btn.dataset.nodrag = 'true';
+            btn.style.cssText = 'border:none;background:transparent;color:#5f6368;font-size:12px;cursor:pointer;padding:2px 4px;border-radius:4px;line-height:1;flex-shrink:0;';
+            btn.addEventListener('mousedown', (e) => e.stopPropagation());
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                onClick();
+            });
+            return btn;
+        }
+
+        async function reloadAndRender() {
+            await reloadData();
+            render();
+        }
+
+        // Edit-labels is always offered; remove/move only for documents carrying `labelName` itself
+        // (a parent node also lists documents from its descendant labels).
+        function appendDocActions(row, doc, labelName) {
+            const file = { id: doc.id, title: doc.title, type: getDocType(doc) };
+            row.appendChild(createDocActionButton('🏷', 'Edit labels on this document', () => {
+                void showBulkLabelDialog([file], reloadAndRender);
+            }));
+            if (!labelName || !(masterData[labelName] || []).some((d) => d && d.id === doc.id)) return;
+            row.appendChild(createDocActionButton('↪', 'Move to another label', () => {
+                showMoveDocDialog(doc, labelName, reloadAndRender);
+            }));
+            row.appendChild(createDocActionButton('×', 'Remove "' + labelName + '" from this document', async () => {
+                await runUndoable('Removed "' + labelName + '" from "' + (doc.title || 'Untitled') + '"', { docIds: [doc.id] },
+                    () => setLabelsOnDocs([file], [], [labelName]), reloadAndRender);
+                await reloadAndRender();
+            }));
+        }
+
+        function createDocTypeIcon(doc) {
+            const type = getDocType(doc);
+            const icon = document.createElement('span');
+            icon.textContent = FILE_TYPES[type].icon;
+            icon.title = FILE_TYPES[type].name;
+            icon.style.cssText = 'margin-right:6px;font-size:12px;';
+            return icon;
+        }
+
+        // `view` holds everything a row's element shows or closes over; a mounted row whose view is
+        // unchanged is kept as is on the next render.
+        function createRow(kind, key, cat, data, view) {
+            return { kind: kind, key: key, cat: cat, data: data, view: view, height: OVERLAY_ROW_HEIGHTS[kind], last: false, sig: null };
+        }
+
+        function getRowSignature(row) {
+            if (row.sig === null) row.sig = JSON.stringify([row.view, row.last]);
+            return row.sig;
+        }
+
+        function addLabelRows(node, depth, catName, list) {
+            const labelName = node.label;
+            const subtreeLabels = collectTreeLabels(node);
+            const filtering = !!filterText;
+            const nameMatched = filtering && !!fuzzyMatch(filterText, node.path);
+            let docs = (node.children.length > 0 ? getSubtreeDocs(node) : (masterData[labelName] || [])).filter(typeMatches);
+            const totalDocs = docs.length;
+            if (filtering && !nameMatched) docs = docs.filter(titleMatches);
+            const ownTitleHits = filtering && labelName && (masterData[labelName] || []).some((doc) => doc && typeMatches(doc) && titleMatches(doc));
+
+            // Filtering opens parents so matches are visible, and labels whose documents matched,
+            // unless the row was collapsed by hand under the current filter
+            const forcedOpen = filtering && !filterCollapsed[node.path];
+            const childOpen = (forcedOpen && node.children.length > 0) || !!expanded[node.path];
+            const docsOpen = (forcedOpen && !!ownTitleHits) || !!expanded[node.path];
+            const countText = (docs.length !== totalDocs ? docs.length + ' of ' : '') + totalDocs + (totalDocs === 1 ? ' doc' : ' docs');
+
+            const key = 'label\u0000' + catName + '\u0000' + node.path;
+            list.push(createRow('label', key, catName, { node: node, subtreeLabels: subtreeLabels, open: childOpen || docsOpen },
+                [depth, labelName, node.name, subtreeLabels, countText, childOpen || docsOpen, !!(labelName && selected[labelName]),
+                    (labelName && metaData[labelName]) || null, filterText, labelName ? (masterData[labelName] || []).length : 0]));
+
+            if (childOpen) node.children.forEach((child) => addLabelRows(child, depth + 1, catName, list));
+            if (!docsOpen) return;
+
+            // Document rows only exist while their label is expanded
+            if (docs.length === 0) list.push(createRow('nodocs', key + '\u0000', catName, { depth: depth }, [depth]));
+            docs.forEach((doc) => {
+                const own = !!labelName && (masterData[labelName] || []).some((d) => d && d.id === doc.id);
+                list.push(createRow('doc', key + '\u0000' + doc.id, catName, { doc: doc, labelName: own ? labelName : null, depth: depth },
+                    [depth, doc.id, doc.title, doc.url, getDocType(doc), own, filterText]));
+            });
+        }
+
+        function addQueryRows(list) {
+            const matches = getDocumentsWithLabels(masterData).filter((doc) => typeMatches(doc) && evaluateLabelQuery(queryAst, doc.labels) &&
+                (!filterText || titleMatches(doc) || doc.labels.some((l) => fuzzyMatch(filterText, l))));
+
+            list.push(createRow('summary', 'summary', null, { count: matches.length }, [matches.length]));
+            matches.forEach((doc) => {
+                list.push(createRow('result', 'result\u0000' + doc.id, null, { doc: doc },
+                    [doc.id, doc.title, doc.url, getDocType(doc), doc.labels, doc.labels.map((l) => metaData[l] || null), filterText]));
+            });
+        }
+
+        function buildRows() {
+            const list = [createRow('gap', 'gap', null, {}, [])];
+
+            if (queryAst) {
+                addQueryRows(list);
+                return list;
+            }
 
             if (labelNames.length === 0) {
-                const empty = document.createElement('div');
-                empty.textContent = 'No labels yet. Add labels to your Google Docs to see them here.';
-                empty.style.cssText = 'color:#5f6368;font-style:italic;padding:24px;text-align:center;font-size:14px;';
-                bodyEl.appendChild(empty);
+                const text = 'No labels yet. Add labels to your Google Docs to see them here.';
+                list.push(createRow('message', 'message\u0000empty', null, { text: text }, [text]));
             }
 
-            const grouped = getGrouped();
-            const order = getOrder();
+            if ((filterText || typeFilter) && !labelNames.some(isLabelVisible)) {
+                const text = filterText ? 'No labels or documents match "' + filterText + '".' : 'No labeled files of this type.';
+                list.push(createRow('message', 'message\u0000none', null, { text: text }, [text]));
+            }
 
-            order.forEach((catName) => {
+            const grouped = getGrouped();
+            getOrder().forEach((catName) => {
                 const catLabels = grouped[catName] || [];
-                const catSection = document.createElement('div');
-                catSection.style.cssText = 'margin:4px 12px;border:1px solid #e8eaed;border-radius:8px;overflow:hidden;';
-                catSections.push({ el: catSection, name: catName });
-
-                const catHeader = document.createElement('div');
-                catHeader.style.cssText = 'display:flex;align-items:center;padding:10px 14px;background:#f8f9fa;cursor:default;user-select:none;font-size:13px;font-weight:500;color:#5f6368;text-transform:uppercase;letter-spacing:0.5px;';
-
-                const catNameEl = document.createElement('span');
-                catNameEl.style.cssText = 'flex:1;';
-                catNameEl.textContent = catName;
-
-                const catCount = document.createElement('span');
-                catCount.style.cssText = 'font-size:12px;font-weight:400;margin-right:4px;text-transform:none;letter-spacing:normal;';
-                catCount.textContent = catLabels.length + (catLabels.length === 1 ? ' label' : ' labels');
-
-                catHeader.appendChild(catNameEl);
-                catHeader.appendChild(catCount);
-
-                if (catName !== 'Un-Categorized') {
-                    const delBtn = document.createElement('button');
-                    delBtn.textContent = '×';
-                    delBtn.title = 'Delete category';
-                    delBtn.style.cssText = 'border:none;background:transparent;color:#5f6368;font-size:16px;cursor:pointer;padding:0 4px;border-radius:4px;line-height:1;margin-left:4px;';
-                    delBtn.addEventListener('click', async (e) => {
-                        e.stopPropagation();
+                const visibleLabels = catLabels.filter(isLabelVisible);
+                if ((filterText || typeFilter) && visibleLabels.length === 0) return;
+
+                if (list.length > 1) list.push(createRow('gap', 'gap', null, {}, []));
+                list.push(createRow('category', 'category\u0000' + catName, catName, { labels: catLabels }, [catName, catLabels]));
+                if (catLabels.length === 0 && !filterText && !typeFilter) {
+                    list.push(createRow('hint', 'hint\u0000' + catName, catName, {}, []));
+                }
+                buildLabelTree(visibleLabels).children.forEach((node) => addLabelRows(node, 0, catName, list));
+                list[list.length - 1].last = true;
+            });
+
+            list.push(createRow('gap', 'gap', null, {}, []));
+            return list;
+        }
+
+        function toggleNode(row) {
+            const path = row.data.node.path;
+            if (row.data.open) {
+                delete expanded[path];
+                if (filterText) filterCollapsed[path] = true;
+            } else {
+                expanded[path] = true;
+                delete filterCollapsed[path];
+            }
+            render();
+        }
+
+        function buildMessageRow(row) {
+            const el = document.createElement('div');
+            el.textContent = row.data.text;
+            el.style.cssText = 'color:#5f6368;font-style:italic;padding:0 24px;display:flex;align-items:center;justify-content:center;text-align:center;font-size:14px;';
+            return el;
+        }
+
+        function buildCategoryRow(row) {
+            const catName = row.cat;
+            const catLabels = row.data.labels;
+            const catHeader = document.createElement('div');
+            catHeader.style.cssText = 'display:flex;align-items:center;padding:0 14px;background:#f8f9fa;cursor:default;user-select:none;font-size:13px;font-weight:500;color:#5f6368;text-transform:uppercase;letter-spacing:0.5px;';
+
+            const catNameEl = document.createElement('span');
+            catNameEl.style.cssText = 'flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+            catNameEl.textContent = catName;
+
+            const catCount = document.createElement('span');
+            catCount.style.cssText = 'font-size:12px;font-weight:400;margin-right:4px;text-transform:none;letter-spacing:normal;';
+            catCount.textContent = catLabels.length + (catLabels.length === 1 ? ' label' : ' labels');
+
+            catHeader.appendChild(catNameEl);
+            catHeader.appendChild(catCount);
+
+            if (catName !== 'Un-Categorized') {
+                const delBtn = document.createElement('button');
+                delBtn.textContent = '×';
+                delBtn.title = 'Delete category';
+                delBtn.style.cssText = 'border:none;background:transparent;color:#5f6368;font-size:16px;cursor:pointer;padding:0 4px;border-radius:4px;line-height:1;margin-left:4px;';
+                delBtn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    await runUndoable('Deleted category "' + catName + '"', { categories: true }, async () => {
                         catLabels.forEach((l) => { delete catConfig.assignments[l]; });
                         catConfig.categoryOrder = catConfig.categoryOrder.filter((c) => c !== catName);
                         await saveCategoryConfig(catConfig);
+                    }, reloadAndRender);
+                    render();
+                });
+                catHeader.appendChild(delBtn);
+            }
+            return catHeader;
+        }
+
+        function buildHintRow() {
+            const emptyDrop = document.createElement('div');
+            emptyDrop.style.cssText = 'display:flex;align-items:center;justify-content:center;padding:0 16px;color:#9aa0a6;font-size:13px;font-style:italic;';
+            emptyDrop.textContent = 'Drag labels here';
+            return emptyDrop;
+        }
+
+        function buildLabelRow(row) {
+            const node = row.data.node;
+            const labelName = node.label;
+            const depth = row.view[0];
+
+            const item = document.createElement('div');
+            item.style.cssText = 'padding:0 14px 0 ' + (20 + depth * 18) + 'px;font-size:14px;color:#202124;cursor:grab;display:flex;align-items:center;user-select:none;border-top:1px solid #f1f3f4;background:#fff;';
+
+            // Start drag on mousedown anywhere on item except nodrag elements; a parent drags its whole subtree
+            item.addEventListener('mousedown', (e) => {
+                const t = e.target;
+                if (t && t.dataset && t.dataset.nodrag) return;
+                e.stopPropagation();
+                startDrag(e, row.data.subtreeLabels, node.path, row.key);
+            });
+
+            const dragHandle = document.createElement('span');
+            dragHandle.textContent = '⋮⋮';
+            dragHandle.style.cssText = 'color:#bdc1c6;margin-right:10px;font-size:10px;cursor:grab;';
+
+            const selectBox = document.createElement('input');
+            selectBox.type = 'checkbox';
+            selectBox.title = 'Select for merge or export';
+            selectBox.checked = !!(labelName && selected[labelName]);
+            selectBox.dataset.nodrag = 'true';
+            selectBox.style.cssText = 'margin:0 8px 0 0;cursor:pointer;' + (labelName ? '' : 'visibility:hidden;');
+            selectBox.addEventListener('click', (e) => e.stopPropagation());
+            selectBox.addEventListener('change', () => {
+                if (selectBox.checked) selected[labelName] = true;
+                else delete selected[labelName];
+                updateMergeButton();
+            });
+
+            const expandIcon = document.createElement('span');
+            expandIcon.textContent = '▶';
+            expandIcon.dataset.nodrag = 'true';
+            expandIcon.style.cssText = 'font-size:10px;color:#5f6368;margin-right:8px;display:inline-block;cursor:pointer;';
+            if (row.data.open) expandIcon.style.transform = 'rotate(90deg)';
+            expandIcon.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleNode(row);
+            });
+
+            const labelText = document.createElement('span');
+            labelText.style.cssText = 'flex:1;min-width:0;overflow:hidden;white-space:nowrap;' + (labelName ? '' : 'color:#5f6368;text-overflow:ellipsis;');
+            if (labelName) {
+                labelText.appendChild(createLabelChip(labelName, metaData[labelName], node.name.trim(), filterText));
+            } else {
+                appendHighlightedText(labelText, node.name.trim(), filterText);
+                labelText.title = node.path;
+            }
+
+            const docCount = document.createElement('span');
+            docCount.style.cssText = 'color:#5f6368;font-size:12px;margin-left:8px;white-space:nowrap;';
+            docCount.textContent = row.view[4];
+
+            item.appendChild(dragHandle);
+            item.appendChild(selectBox);
+            item.appendChild(expandIcon);
+            item.appendChild(labelText);
+            item.appendChild(docCount);
+
+            if (labelName) {
+                const renameBtn = document.createElement('button');
+                renameBtn.textContent = '✎';
+                renameBtn.title = 'Rename label everywhere';
+                renameBtn.dataset.nodrag = 'true';
+                renameBtn.style.cssText = 'border:none;background:transparent;color:#5f6368;font-size:13px;cursor:pointer;padding:0 4px;border-radius:4px;line-height:1;margin-left:8px;';
+                renameBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    showRenameLabelDialog(labelName, async (newName) => {
+                        if (expanded[labelName]) expanded[newName] = true;
+                        delete expanded[labelName];
+                        if (selected[labelName]) selected[newName] = true;
+                        delete selected[labelName];
+                        await reloadData();
                         render();
                     });
-                    catHeader.appendChild(delBtn);
-                }
+                });
+                item.appendChild(renameBtn);
+
+                const metaBtn = document.createElement('button');
+                metaBtn.textContent = '◐';
+                metaBtn.title = 'Edit color, icon and description';
+                metaBtn.dataset.nodrag = 'true';
+                metaBtn.style.cssText = 'border:none;background:transparent;color:#5f6368;font-size:13px;cursor:pointer;padding:0 4px;border-radius:4px;line-height:1;';
+                metaBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    showLabelMetaDialog(labelName, async () => {
+                        metaData = await loadLabelMeta();
+                        render();
+                    });
+                });
+                item.appendChild(metaBtn);
+
+                const removeBtn = document.createElement('button');
+                removeBtn.textContent = '⊘';
+                removeBtn.title = 'Remove label from all documents';
+                removeBtn.dataset.nodrag = 'true';
+                removeBtn.style.cssText = 'border:none;background:transparent;color:#5f6368;font-size:13px;cursor:pointer;padding:0 4px;border-radius:4px;line-height:1;';
+                removeBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    showRemoveLabelDialog(labelName, (masterData[labelName] || []).length, async () => {
+                        delete expanded[labelName];
+                        delete selected[labelName];
+                        await reloadData();
+                        updateMergeButton();
+                        render();
+                    });
+                });
+                item.appendChild(removeBtn);
+            }
+
+            registerNavItem(item, () => toggleNode(row));
+            return item;
+        }
 
-                catSection.appendChild(catHeader);
+        function buildNoDocsRow(row) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.textContent = 'No documents';
+            emptyMsg.style.cssText = 'display:flex;align-items:center;padding:0 14px 0 ' + (54 + row.data.depth * 18) + 'px;color:#5f6368;font-size:13px;font-style:italic;background:#fff;';
+            return emptyMsg;
+        }
 
-                const labelContainer = document.createElement('div');
-                labelContainer.style.cssText = 'min-height:4px;';
+        function buildDocRow(row) {
+            const doc = row.data.doc;
+            const docRow = document.createElement('div');
+            docRow.style.cssText = 'display:flex;align-items:center;gap:2px;padding:0 14px 0 ' + (54 + row.data.depth * 18) + 'px;background:#fff;';
+            const link = document.createElement('a');
+            link.href = doc.url;
+            link.appendChild(createDocTypeIcon(doc));
+            appendHighlightedText(link, doc.title || 'Untitled', filterText);
+            link.dataset.nodrag = 'true';
+            link.style.cssText = 'display:block;flex:1;min-width:0;color:#1a73e8;text-decoration:none;font-size:13px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+            registerNavItem(link, () => link.click());
+            docRow.appendChild(link);
+            appendDocActions(docRow, doc, row.data.labelName);
+            return docRow;
+        }
 
-                if (catLabels.length === 0) {
-                    const emptyDrop = document.createElement('div');
-                    emptyDrop.style.cssText = 'padding:10px 16px;color:#9aa0a6;font-size:13px;font-style:italic;text-align:center;';
-                    emptyDrop.textContent = 'Drag labels here';
-                    labelContainer.appendChild(emptyDrop);
-                }
+        function buildSummaryRow(row) {
+            const summary = document.createElement('div');
+            summary.style.cssText = 'display:flex;align-items:center;padding:0 24px;font-size:12px;color:#5f6368;';
+            summary.textContent = row.data.count + (row.data.count === 1 ? ' matching document' : ' matching documents');
+            return summary;
+        }
 
-                catLabels.forEach((labelName) => {
-                    const docs = masterData[labelName] || [];
-                    const wrapper = document.createElement('div');
+        function buildResultRow(row) {
+            const doc = row.data.doc;
+            const resultRow = document.createElement('div');
+            resultRow.style.cssText = 'display:flex;flex-direction:column;justify-content:center;padding:0 24px;border-top:1px solid #f1f3f4;';
+
+            const titleRow = document.createElement('div');
+            titleRow.style.cssText = 'display:flex;align-items:center;margin-bottom:4px;';
+            const link = document.createElement('a');
+            link.href = doc.url;
+            link.appendChild(createDocTypeIcon(doc));
+            appendHighlightedText(link, doc.title || 'Untitled', filterText);
+            link.style.cssText = 'display:block;flex:1;min-width:0;color:#1a73e8;text-decoration:none;font-size:14px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+            registerNavItem(link, () => link.click());
+            titleRow.appendChild(link);
+            appendDocActions(titleRow, doc, null);
+
+            const chips = document.createElement('div');
+            chips.style.cssText = 'display:flex;gap:4px 10px;font-size:12px;color:#5f6368;overflow:hidden;white-space:nowrap;';
+            doc.labels.forEach((labelName) => chips.appendChild(createLabelChip(labelName, metaData[labelName], undefined, filterText)));
+
+            resultRow.appendChild(titleRow);
+            resultRow.appendChild(chips);
+            return resultRow;
+        }
 
-                    const item = document.createElement('div');
-                    item.style.cssText = 'padding:8px 14px 8px 20px;font-size:14px;color:#202124;cursor:grab;display:flex;align-items:center;user-select:none;border-top:1px solid #f1f3f4;';
+        const rowBuilders = {
+            message: buildMessageRow,
+            category: buildCategoryRow,
+            hint: buildHintRow,
+            label: buildLabelRow,
+            nodocs: buildNoDocsRow,
+            doc: buildDocRow,
+            summary: buildSummaryRow,
+            result: buildResultRow
+        };
 
-                    // Start drag on mousedown anywhere on item except nodrag elements
-                    item.addEventListener('mousedown', (e) => {
-                        const t = e.target;
-                        if (t && t.dataset && t.dataset.nodrag) return;
-                        e.stopPropagation();
-                        startDrag(e, labelName, item);
-                    });
+        // Rows of a category are framed left and right, so the category still reads as one box
+        function getRowFrame(row) {
+            if (row.cat === null) return 'left:0;right:0;';
+            let css = 'left:12px;right:12px;border-left:1px solid #e8eaed;border-right:1px solid #e8eaed;';
+            if (row.kind === 'category') css += 'border-top:1px solid #e8eaed;border-radius:8px 8px 0 0;';
+            if (row.last) css += 'border-bottom:1px solid #e8eaed;border-radius:' + (row.kind === 'category' ? '8px' : '0 0 8px 8px') + ';';
+            return css;
+        }
 
-                    const dragHandle = document.createElement('span');
-                    dragHandle.textContent = '⋮⋮';
-                    dragHandle.style.cssText = 'color:#bdc1c6;margin-right:10px;font-size:10px;cursor:grab;';
-
-                    const expandIcon = document.createElement('span');
-                    expandIcon.textContent = '▶';
-                    expandIcon.dataset.nodrag = 'true';
-                    expandIcon.style.cssText = 'font-size:10px;color:#5f6368;margin-right:8px;transition:transform 0.15s;display:inline-block;cursor:pointer;';
-                    if (expanded[labelName]) expandIcon.style.transform = 'rotate(90deg)';
-
-                    const labelText = document.createElement('span');
-                    labelText.style.cssText = 'flex:1;';
-                    labelText.textContent = labelName;
-
-                    const docCount = document.createElement('span');
-                    docCount.style.cssText = 'color:#5f6368;font-size:12px;margin-left:8px;';
-                    docCount.textContent = docs.length + (docs.length === 1 ? ' doc' : ' docs');
-
-                    item.appendChild(dragHandle);
-                    item.appendChild(expandIcon);
-                    item.appendChild(labelText);
-                    item.appendChild(docCount);
-                    wrapper.appendChild(item);
-
-                    const docList = document.createElement('div');
-                    docList.style.cssText = 'padding:2px 0 8px 54px;' + (expanded[labelName] ? 'display:block;' : 'display:none;');
-
-                    if (docs.length === 0) {
-                        const emptyMsg = document.createElement('div');
-                        emptyMsg.textContent = 'No documents';
-                        emptyMsg.style.cssText = 'color:#5f6368;font-size:13px;font-style:italic;padding:4px 0;';
-                        docList.appendChild(emptyMsg);
-                    } else {
-                        docs.forEach((doc) => {
-                            const link = document.createElement('a');
-                            link.href = doc.url;
-                            link.textContent = doc.title;
-                            link.dataset.nodrag = 'true';
-                            link.style.cssText = 'display:block;color:#1a73e8;text-decoration:none;padding:4px 0;font-size:13px;';
-                            docList.appendChild(link);
-                        });
-                    }
+        function mountRow(row) {
+            const el = rowBuilders[row.kind](row);
+            el.dataset.gdRow = row.key;
+            el.style.cssText += 'position:absolute;box-sizing:border-box;overflow:hidden;height:' + row.height + 'px;' + getRowFrame(row);
+            const entry = { el: el, row: row, sig: getRowSignature(row), background: el.style.background };
+            applyDragStyle(entry);
+            return entry;
+        }
 
-                    wrapper.appendChild(docList);
+        // Mounts the rows in and near the viewport and drops the rest. Rows already mounted with
+        // an unchanged signature are only repositioned.
+        function renderWindow() {
+            const top = bodyEl.scrollTop - OVERLAY_OVERSCAN_PX;
+            const bottom = bodyEl.scrollTop + (bodyEl.clientHeight || window.innerHeight) + OVERLAY_OVERSCAN_PX;
+
+            let lo = 0;
+            let hi = rows.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (offsets[mid] + rows[mid].height <= top) lo = mid + 1;
+                else hi = mid;
+            }
+            const wanted = new Map();
+            for (let i = lo; i < rows.length && offsets[i] < bottom; i++) {
+                if (rows[i].kind !== 'gap') wanted.set(rows[i].key, i);
+            }
 
-                    expandIcon.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        expanded[labelName] = !expanded[labelName];
-                        docList.style.display = expanded[labelName] ? 'block' : 'none';
-                        expandIcon.style.transform = expanded[labelName] ? 'rotate(90deg)' : 'rotate(0deg)';
-                    });
+            mounted.forEach((entry, key) => {
+                const i = wanted.get(key);
+                if (i !== undefined && getRowSignature(rows[i]) === entry.sig) return;
+                entry.el.remove();
+                mounted.delete(key);
+            });
 
-                    labelContainer.appendChild(wrapper);
-                });
+            // Keep DOM order equal to row order so keyboard navigation follows what is on screen
+            let position = 0;
+            wanted.forEach((i, key) => {
+                let entry = mounted.get(key);
+                if (!entry) {
+                    entry = mountRow(rows[i]);
+                    mounted.set(key, entry);
+                }
+                entry.row = rows[i];
+                entry.el.style.top = offsets[i] + 'px';
+                if (canvas.children[position] !== entry.el) canvas.insertBefore(entry.el, canvas.children[position] || null);
+                position++;
+            });
+        }
 
-                catSection.appendChild(labelContainer);
-                bodyEl.appendChild(catSection);
+        function render() {
+            rows = buildRows();
+            offsets = [];
+            let total = 0;
+            rows.forEach((row) => {
+                offsets.push(total);
+                total += row.height;
             });
+            canvas.style.height = total + 'px';
+            renderWindow();
         }
 
+        let windowFrame = 0;
+        bodyEl.addEventListener('scroll', () => {
+            if (windowFrame) return;
+            windowFrame = requestAnimationFrame(() => {
+                windowFrame = 0;
+                renderWindow();
+            });
+        });
+
         function showNewCategoryDialog() {
             const dlgOverlay = document.createElement('div');
             dlgOverlay.style.cssText = 'position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,0.4);z-index:10001;display:flex;align-items:center;justify-content:center;';
@@ -1041,19 +4382,403 @@
             createBtn.addEventListener('click', doCreate);
             input.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') void doCreate();
-                if (e.key === 'Escape') closeDlg();
+                if (e.key === 'Escape') { e.stopPropagation(); closeDlg(); }
             });
         }
 
+        mergeBtn.addEventListener('click', () => {
+            const toMerge = getSelectedLabels();
+            if (toMerge.length < 2) return;
+            showMergeLabelsDialog(toMerge, async (target) => {
+                if (toMerge.some((l) => expanded[l])) expanded[target] = true;
+                toMerge.forEach((l) => { if (l !== target) delete expanded[l]; });
+                selected = {};
+                await reloadData();
+                updateMergeButton();
+                render();
+            });
+        });
+
         addCatBtn.addEventListener('click', showNewCategoryDialog);
         closeBtn.addEventListener('click', () => overlay.remove());
         overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
         document.addEventListener('keydown', function handler(e) {
-            if (e.key === 'Escape') { overlay.remove(); document.removeEventListener('keydown', handler); }
+            if (e.key !== 'Escape') return;
+            // With a dialog open on top, Escape is the dialog's to handle
+            if (document.querySelector('#gd-label-dialog-overlay')) return;
+            overlay.remove();
+            document.removeEventListener('keydown', handler);
+        });
+
+        // True when the overlay already shows every value in `changes`. That is the case for its own
+        // writes, which it reloads (or applies in memory) itself, so those don't reload it twice.
+        function isAlreadyLoaded(changes) {
+            return Object.keys(changes).every((key) => {
+                const value = changes[key].newValue;
+                if (key === EXT_LABEL_NAMES_KEY) return JSON.stringify((Array.isArray(value) ? value : []).slice().sort()) === JSON.stringify(labelNames);
+                if (key.startsWith(EXT_LABEL_DOCS_PREFIX)) {
+                    const docs = Array.isArray(value) ? value : [];
+                    return JSON.stringify(docs) === JSON.stringify(masterData[key.slice(EXT_LABEL_DOCS_PREFIX.length)] || []);
+                }
+                if (key === EXT_CATEGORY_KEY) return JSON.stringify(value) === JSON.stringify(catConfig);
+                if (key === EXT_LABEL_META_KEY) return JSON.stringify(value) === JSON.stringify(metaData);
+                return true; // document records and the reverse index aren't shown here
+            });
+        }
+
+        // Edits made in other tabs (or by dialogs opened from here) re-render the open overlay; the
+        // listener goes away with the first change after the overlay was closed.
+        let reloadTimer = null;
+        let pendingChanges = {};
+        function onStorageChanged(changes, areaName) {
+            if (!overlay.isConnected) {
+                chrome.storage.onChanged.removeListener(onStorageChanged);
+                return;
+            }
+            if (areaName !== 'local' || (!isLabelIndexChange(changes) && !changes[EXT_CATEGORY_KEY] && !changes[EXT_LABEL_META_KEY])) return;
+            Object.assign(pendingChanges, changes);
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(async () => {
+                const settled = pendingChanges;
+                pendingChanges = {};
+                if (!overlay.isConnected || isAlreadyLoaded(settled)) return;
+                await reloadAndRender();
+                updateMergeButton();
+            }, LIVE_UPDATE_SETTLE_MS);
+        }
+        try {
+            chrome.storage.onChanged.addListener(onStorageChanged);
+        } catch (e) {}
+
+        if (initialQuery) {
+            queryInput.value = initialQuery;
+            runQuery();
+        } else {
+            render();
+        }
+        document.body.appendChild(overlay);
+    }
+
+    // -----------------------------
+    // Drive file list
+    // -----------------------------
+
+    const DRIVE_ROW_CHIP_LIMIT = 3;
+    let driveLabelsByDoc = {};  // docId -> label names, derived from the label index
+    let driveChipTimer = null;
+
+    async function refreshDriveLabelsByDoc() {
+        const master = await loadMasterData();
+        const byDoc = {};
+        getDocumentsWithLabels(master).forEach((doc) => { byDoc[doc.id] = doc.labels; });
+        driveLabelsByDoc = byDoc;
+        labelMeta = await loadLabelMeta();
+    }
+
+    // Drive renders each file in the list and grid views as an element carrying the file ID in
+    // data-id; the first visible text inside it is the file name, which the chips follow.
+    function findDriveFileNameNode(fileEl) {
+        const walker = document.createTreeWalker(fileEl, NodeFilter.SHOW_TEXT, null, false);
+        let node;
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0 && !node.parentElement.closest('.gd-drive-file-labels')) return node;
+        }
+        return null;
+    }
+
+    // Drive shows the file kind with a type icon: its URL carries the MIME type or icon name, and
+    // its tooltip reads "Google Sheets", ... Only text-free icon elements are read, so a file name
+    // like "Q3 presentation" never decides the type. Returns null for anything that isn't one of
+    // the editors in FILE_TYPES (PDFs, folders, ...).
+    const DRIVE_TYPE_ICONS = {
+        document: 'docs', spreadsheet: 'sheets', presentation: 'slides', form: 'forms', drawing: 'drawings'
+    };
+    const DRIVE_TYPE_ICON_URL_PATTERN = /(?:vnd\.google-apps\.|icon_\d+_)(document|spreadsheet|presentation|form|drawing)s?(?![a-z])/;
+
+    function getDriveFileType(fileEl) {
+        const icons = fileEl.querySelectorAll('img, svg, [aria-label], [data-tooltip]');
+        for (const el of icons) {
+            if (el.closest('.gd-drive-file-labels') || el.textContent.trim()) continue;
+            const urlMatch = (el.getAttribute('src') || '').match(DRIVE_TYPE_ICON_URL_PATTERN);
+            if (urlMatch) return urlMatch[1];
+            for (const attr of ['data-tooltip', 'aria-label', 'alt']) {
+                const tip = (el.getAttribute(attr) || '').trim().toLowerCase();
+                const type = Object.keys(DRIVE_TYPE_ICONS).find((t) => tip === 'google ' + DRIVE_TYPE_ICONS[t]);
+                if (type) return type;
+            }
+        }
+        return null;
+    }
+
+    function decorateDriveFile(fileEl) {
+        const labelsForFile = driveLabelsByDoc[fileEl.getAttribute('data-id')] || [];
+        const key = JSON.stringify(labelsForFile) + JSON.stringify(labelsForFile.map((l) => labelMeta[l] || null));
+        let chips = fileEl.querySelector('.gd-drive-file-labels');
+        // Leave rows that are already up to date alone, so our own edits don't retrigger the observer
+        if (chips && chips.getAttribute('data-labels') === key) return;
+        if (chips) chips.remove();
+        if (labelsForFile.length === 0) return;
+
+        const nameNode = findDriveFileNameNode(fileEl);
+        if (!nameNode) return;
+
+        chips = document.createElement('span');
+        chips.className = 'gd-drive-file-labels';
+        chips.setAttribute('data-labels', key);
+        chips.style.cssText = 'display:inline-flex;align-items:center;gap:4px;margin-left:8px;font-size:11px;color:#5f6368;vertical-align:middle;max-width:100%;overflow:hidden;';
+
+        labelsForFile.slice(0, DRIVE_ROW_CHIP_LIMIT).forEach((labelName) => {
+            const chip = createLabelChip(labelName, labelMeta[labelName] || null);
+            if (!labelMeta[labelName] || !labelMeta[labelName].color) chip.style.cssText += 'padding:1px 8px;border-radius:10px;background:#f1f3f4;';
+            chip.style.cursor = 'pointer';
+            chip.style.maxWidth = '140px';
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                void showDriveLabelsOverlay(quoteQueryLabel(labelName));
+            });
+            chips.appendChild(chip);
+        });
+        if (labelsForFile.length > DRIVE_ROW_CHIP_LIMIT) {
+            const more = document.createElement('span');
+            more.textContent = '+' + (labelsForFile.length - DRIVE_ROW_CHIP_LIMIT);
+            more.title = labelsForFile.slice(DRIVE_ROW_CHIP_LIMIT).join(', ');
+            chips.appendChild(more);
+        }
+
+        // Keep Drive from selecting or opening the file when a chip is used
+        ['mousedown', 'dblclick'].forEach((type) => chips.addEventListener(type, (e) => e.stopPropagation()));
+        nameNode.parentElement.appendChild(chips);
+    }
+
+    function decorateDriveFiles() {
+        document.querySelectorAll('[data-id]').forEach((fileEl) => {
+            if (fileEl.closest('#gd-labels-overlay')) return;
+            decorateDriveFile(fileEl);
+        });
+        updateDriveSelectionButton();
+    }
+
+    function getSelectedDriveFiles() {
+        const files = [];
+        document.querySelectorAll('[data-id][aria-selected="true"]').forEach((fileEl) => {
+            const id = fileEl.getAttribute('data-id');
+            if (files.some((f) => f.id === id)) return;
+            const nameNode = findDriveFileNameNode(fileEl);
+            files.push({ id: id, title: nameNode ? nameNode.textContent.trim() : 'Untitled', type: getDriveFileType(fileEl) });
         });
+        return files;
+    }
+
+    // Drive shows the selection count ("3 selected", "3 ausgewählt", ...) at the start of its
+    // selection toolbar; the Label… button goes right after it, or floats at the top of the page if
+    // the toolbar can't be found. Only toolbars are searched, and the match is on the number rather
+    // than the wording, so any UI language works.
+    function findDriveSelectionCount(count) {
+        const countPattern = new RegExp('(^|\\D)' + count + '(\\D|$)');
+        for (const toolbar of document.querySelectorAll('[role="toolbar"]')) {
+            if (toolbar.closest('#gd-label-dialog-overlay, #gd-labels-overlay')) continue;
+            const walker = document.createTreeWalker(toolbar, NodeFilter.SHOW_TEXT, null, false);
+            let node;
+            while (node = walker.nextNode()) {
+                const text = node.textContent.trim();
+                if (text.length <= 40 && countPattern.test(text)) return node.parentElement;
+            }
+        }
+        return null;
+    }
+
+    function updateDriveSelectionButton() {
+        let button = document.querySelector('#gd-drive-bulk-label-btn');
+        const selected = document.querySelectorAll('[data-id][aria-selected="true"]');
+        const count = new Set(Array.from(selected, (el) => el.getAttribute('data-id'))).size;
+        if (count === 0) {
+            if (button) button.remove();
+            return;
+        }
+
+        if (!button) {
+            button = document.createElement('button');
+            button.id = 'gd-drive-bulk-label-btn';
+            button.textContent = '🏷 Label…';
+            button.title = 'Add or remove labels on the selected files';
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                showBulkLabelDialog(getSelectedDriveFiles());
+            });
+            ['mousedown', 'dblclick'].forEach((type) => button.addEventListener(type, (e) => e.stopPropagation()));
+        }
+
+        const anchor = findDriveSelectionCount(count);
+        if (anchor) {
+            button.style.cssText = 'margin-left:12px;padding:4px 12px;border:1px solid #dadce0;border-radius:16px;background:#fff;color:#1a73e8;font-size:13px;font-weight:500;cursor:pointer;';
+            if (button.previousSibling !== anchor) anchor.parentNode.insertBefore(button, anchor.nextSibling);
+        } else {
+            button.style.cssText = 'position:fixed;top:72px;left:50%;transform:translateX(-50%);z-index:9999;padding:8px 18px;border:none;border-radius:18px;background:#1a73e8;color:#fff;font-size:14px;font-weight:500;cursor:pointer;box-shadow:0 2px 8px rgba(0,0,0,0.25);';
+            if (button.parentNode !== document.body) document.body.appendChild(button);
+        }
+    }
+
+    // Tri-state label picker for several files: a checked label ends up on every file, an unchecked
+    // one on none, and a label left in the mixed state is not touched.
+    async function showBulkLabelDialog(files, onApplied) {
+        const existingDialog = document.querySelector('#gd-label-dialog-overlay');
+        if (existingDialog) existingDialog.remove();
+
+        const labelable = files.filter((f) => f.type);
+        const skipped = files.length - labelable.length;
+
+        const master = await loadMasterData();
+        const records = {};
+        for (const file of labelable) records[file.id] = await loadDocRecord(file.id);
+        const countOn = (labelName) => labelable.filter((f) => records[f.id] && records[f.id].labels.includes(labelName)).length;
+
+        // state: 'all' | 'none' | 'some'; `initial` remembers it so Apply only touches what changed
+        const entries = {};
+        const addEntry = (labelName) => {
+            const n = countOn(labelName);
+            const state = n === 0 ? 'none' : (n === labelable.length ? 'all' : 'some');
+            entries[labelName] = { state: state, initial: state };
+        };
+        Object.keys(master).forEach(addEntry);
+        labelable.forEach((f) => { if (records[f.id]) records[f.id].labels.forEach((l) => { if (!entries[l]) addEntry(l); }); });
+
+        const overlay = document.createElement('div');
+        overlay.id = 'gd-label-dialog-overlay';
+        overlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.4); z-index: 10001; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = 'background: white; border-radius: 8px; padding: 24px; min-width: 340px; max-width: 480px; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 16px; font-weight: 500; color: #202124; margin-bottom: 12px;';
+        title.textContent = files.length === 1 && labelable.length === 1
+            ? 'Labels for "' + (labelable[0].title || 'Untitled') + '"'
+            : 'Label ' + labelable.length + (labelable.length === 1 ? ' file' : ' files');
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'margin-bottom: 12px; font-size: 13px; color: #5f6368;';
+        hint.textContent = skipped > 0
+            ? skipped + (skipped === 1 ? ' selected item isn\'t' : ' selected items aren\'t') + ' a Google Docs, Sheets, Slides, Forms or Drawings file and will be skipped.'
+            : 'Tick a label to add it to every selected file, untick it to remove it.';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Filter, or type a new label and press Enter';
+        input.spellcheck = false;
+        input.style.cssText = 'width: 100%; padding: 8px 12px; border: 1px solid #dadce0; border-radius: 4px; font-size: 14px; box-sizing: border-box; outline: none;';
+
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 260px; overflow-y: auto; margin-top: 8px;';
+
+        function renderList() {
+            while (list.firstChild) list.removeChild(list.firstChild);
+            const query = input.value.trim();
+            const names = Object.keys(entries)
+                .filter((l) => !query || fuzzyMatch(query, l))
+                .sort((a, b) => (entries[a].initial === 'none') - (entries[b].initial === 'none') || a.localeCompare(b));
+            names.forEach((labelName) => {
+                const entry = entries[labelName];
+                const row = document.createElement('label');
+                row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 4px; font-size: 14px; color: #202124; cursor: pointer;';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = entry.state === 'all';
+                checkbox.indeterminate = entry.state === 'some';
+                // Clicking cycles through the mixed state only for labels that started mixed
+                checkbox.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (entry.state === 'none') entry.state = 'all';
+                    else if (entry.state === 'all') entry.state = entry.initial === 'some' ? 'some' : 'none';
+                    else entry.state = 'none';
+                    renderList();
+                });
+                const text = document.createElement('span');
+                appendHighlightedText(text, labelName, query);
+                row.appendChild(checkbox);
+                row.appendChild(text);
+                list.appendChild(row);
+            });
+            if (names.length === 0) {
+                const none = document.createElement('div');
+                none.style.cssText = 'padding: 8px 4px; font-size: 13px; color: #5f6368; font-style: italic;';
+                none.textContent = query ? 'Press Enter to create "' + query + '"' : 'No labels yet. Type one and press Enter.';
+                list.appendChild(none);
+            }
+        }
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 12px; margin-top: 20px;';
 
-        render();
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = 'padding: 8px 16px; border: none; background: transparent; color: #1a73e8; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = 'Apply';
+        applyBtn.style.cssText = 'padding: 8px 16px; border: none; background: #1a73e8; color: white; font-size: 14px; font-weight: 500; cursor: pointer; border-radius: 4px;';
+        applyBtn.disabled = labelable.length === 0;
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(applyBtn);
+        dialog.appendChild(title);
+        dialog.appendChild(hint);
+        dialog.appendChild(input);
+        dialog.appendChild(list);
+        dialog.appendChild(buttonContainer);
+        overlay.appendChild(dialog);
         document.body.appendChild(overlay);
+        renderList();
+        setTimeout(() => input.focus(), 50);
+
+        const closeDialog = () => overlay.remove();
+        cancelBtn.addEventListener('click', closeDialog);
+
+        input.addEventListener('input', renderList);
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            const name = input.value.trim();
+            if (!name) return;
+            if (!entries[name]) entries[name] = { state: 'all', initial: 'none' };
+            else entries[name].state = 'all';
+            input.value = '';
+            renderList();
+        });
+
+        applyBtn.addEventListener('click', async () => {
+            const names = Object.keys(entries).filter((l) => entries[l].state !== entries[l].initial);
+            const add = names.filter((l) => entries[l].state === 'all');
+            const remove = names.filter((l) => entries[l].state === 'none');
+            if (add.length > 0 || remove.length > 0) await setLabelsOnDocs(labelable, add, remove);
+            closeDialog();
+            if (onApplied) onApplied();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); closeDialog(); }
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) closeDialog(); });
+    }
+
+    // Drive virtualizes the file list and re-renders rows as you scroll; batch those mutations so the
+    // list is re-checked at most every 150ms while Drive keeps changing it.
+    function scheduleDriveFileDecoration() {
+        if (driveChipTimer) return;
+        driveChipTimer = setTimeout(() => {
+            driveChipTimer = null;
+            decorateDriveFiles();
+        }, 150);
+    }
+
+    async function initDriveFileChips() {
+        await refreshDriveLabelsByDoc();
+        decorateDriveFiles();
+        try {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName !== 'local' || (!isLabelIndexChange(changes) && !changes[EXT_LABEL_META_KEY])) return;
+                void refreshDriveLabelsByDoc().then(decorateDriveFiles);
+            });
+        } catch (e) {}
     }
 
     function createDriveLabelItem(starredNavTreeHeader) {
@@ -1101,14 +4826,32 @@
         return null;
     }
 
+    // #gd-labels comes from the command palette or keyboard shortcut, #gd-import=<token> from a share link.
+    function handleDriveHash() {
+        const hash = window.location.hash;
+        const isShareLink = hash.startsWith(SHARE_LINK_PREFIX.slice(SHARE_LINK_PREFIX.indexOf('#')));
+        if (hash !== DRIVE_LABELS_HASH && !isShareLink) return;
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        if (isShareLink) showImportDialog(null, { text: hash });
+        else void showDriveLabelsOverlay();
+    }
+
     function initDrive() {
+        void requestSync(false);
+        listenForBackgroundMessages();
+        void initDriveFileChips();
+
+        handleDriveHash();
+        window.addEventListener('hashchange', handleDriveHash);
+
         const observer = new MutationObserver(() => {
             if (!document.querySelector('#gd-drive-label-item')) {
                 const starred = findStarredNavTreeHeader();
                 if (starred) createDriveLabelItem(starred);
             }
+            scheduleDriveFileDecoration();
         });
-        observer.observe(document.body, { childList: true, subtree: true });
+        observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['aria-selected'] });
     }
 
     // -----------------------------
@@ -0,0 +1,481 @@
+/**
+ * Google Docs Labels - shared label store
+ * Loaded before content.js in every content script and by the background service worker, so both
+ * resolve document URLs with the same rules and read and write the same records.
+ */
+
+const GDLabelStore = (function() {
+    'use strict';
+
+    const EXT_DOC_KEY_PREFIX = 'gd-labels-';          // gd-labels-<docId>: { labels: string[], title, url, type, updatedAt }
+
+    // The label index is derived from the per-document records and split per label and per document,
+    // so a change only reads and writes the keys it touches.
+    const EXT_LABEL_NAMES_KEY = 'gd-label-index';     // string[]: every label with at least one document
+    const EXT_LABEL_DOCS_PREFIX = 'gd-label-docs:';   // gd-label-docs:<label>: Array<{id,title,url,type}>
+    const EXT_DOC_LABELS_PREFIX = 'gd-doc-labels:';   // gd-doc-labels:<docId>: the labels the document is indexed under
+    const EXT_MASTER_KEY = 'gd-master-labels';        // Single-object index of older versions; replaced on the first rebuild
+
+    const EXT_CATEGORY_KEY = 'gd-label-categories';  // { assignments: { [labelName]: category }, categoryOrder: string[] }
+    const EXT_LABEL_META_KEY = 'gd-label-meta';       // { [labelName]: { color, description, icon } }
+
+    // Drive opens the labels overlay on load when its URL carries this fragment
+    const DRIVE_LABELS_HASH = '#gd-labels';
+    const DRIVE_LABELS_URL = 'https://drive.google.com/drive/my-drive' + DRIVE_LABELS_HASH;
+
+    // -----------------------------
+    // Extension storage (async)
+    // -----------------------------
+
+    function storageGet(key, defaultValue) {
+        return new Promise((resolve) => {
+            try {
+                chrome.storage.local.get({ [key]: defaultValue }, (result) => resolve(result[key]));
+            } catch (e) {
+                resolve(defaultValue);
+            }
+        });
+    }
+
+    function storageSet(key, value) {
+        return storageSetMany({ [key]: value });
+    }
+
+    function storageSetMany(items) {
+        return new Promise((resolve) => {
+            try {
+                chrome.storage.local.set(items, () => resolve());
+            } catch (e) {
+                resolve();
+            }
+        });
+    }
+
+    // `defaults` maps each key to the value returned when it is missing.
+    function storageGetMany(defaults) {
+        return new Promise((resolve) => {
+            try {
+                chrome.storage.local.get(defaults, (result) => resolve(result || defaults));
+            } catch (e) {
+                resolve(defaults);
+            }
+        });
+    }
+
+    function storageGetAll() {
+        return new Promise((resolve) => {
+            try {
+                chrome.storage.local.get(null, (result) => resolve(result || {}));
+            } catch (e) {
+                resolve({});
+            }
+        });
+    }
+
+    function storageRemove(keys) {
+        return new Promise((resolve) => {
+            try {
+                chrome.storage.local.remove(keys, () => resolve());
+            } catch (e) {
+                resolve();
+            }
+        });
+    }
+
+    // Saving these is left to the content script, which also stamps each changed entry for sync
+    async function loadCategoryConfig() {
+        const config = await storageGet(EXT_CATEGORY_KEY, { assignments: {}, categoryOrder: [] });
+        if (!config || typeof config !== 'object') return { assignments: {}, categoryOrder: [] };
+        config.assignments = config.assignments || {};
+        config.categoryOrder = config.categoryOrder || [];
+        return config;
+    }
+
+    async function loadLabelMeta() {
+        const meta = await storageGet(EXT_LABEL_META_KEY, {});
+        return (meta && typeof meta === 'object' && !Array.isArray(meta)) ? meta : {};
+    }
+
+    // -----------------------------
+    // Document URLs and file types
+    // -----------------------------
+
+    // Google editors we can label, keyed by the type recorded in the store and label index.
+    const FILE_TYPES = {
+        document: { path: 'document', name: 'Docs', icon: '📄' },
+        spreadsheet: { path: 'spreadsheets', name: 'Sheets', icon: '📊' },
+        presentation: { path: 'presentation', name: 'Slides', icon: '📽️' },
+        form: { path: 'forms', name: 'Forms', icon: '📋' },
+        drawing: { path: 'drawings', name: 'Drawings', icon: '🖌️' }
+    };
+
+    // Signed into several accounts, editor URLs carry the account index: /document/u/1/d/<id>
+    const DOC_URL_PATTERN = /\/(document|spreadsheets|presentation|forms|drawings)\/(?:u\/\d+\/)?d\/([a-zA-Z0-9_-]+)/;
+
+    // Returns { id, type } for an editor URL, or null. /forms/d/e/<id> is a form's published
+    // copy, whose ID is not the file's, so it is not treated as a match.
+    function parseDocumentUrl(url) {
+        const match = String(url || '').match(DOC_URL_PATTERN);
+        if (!match || match[2] === 'e') return null;
+        const type = Object.keys(FILE_TYPES).find((t) => FILE_TYPES[t].path === match[1]);
+        return { id: match[2], type: type };
+    }
+
+    function getDocumentIdFromUrl(url) {
+        const parsed = parseDocumentUrl(url);
+        return parsed ? parsed.id : null;
+    }
+
+    function getDocumentTypeFromUrl(url) {
+        const parsed = parseDocumentUrl(url);
+        return parsed ? parsed.type : null;
+    }
+
+    // Entries written before file types were recorded are Docs unless their URL says otherwise.
+    function getDocType(doc) {
+        if (doc && FILE_TYPES[doc.type]) return doc.type;
+        return (doc && getDocumentTypeFromUrl(doc.url)) || 'document';
+    }
+
+    // Also the canonical URL every record and master entry stores: tab URLs carry #heading= fragments,
+    // ?tab= parameters and /u/1/ account paths that differ between visits to the same document.
+    function getDefaultDocumentUrl(docId, type) {
+        return 'https://docs.google.com/' + FILE_TYPES[type || 'document'].path + '/d/' + docId + '/edit';
+    }
+
+    // Editor tab titles end in " - Google Docs", " - Google Sheets", ...
+    function stripEditorTitleSuffix(title) {
+        return String(title || '').replace(/ - Google (Docs|Sheets|Slides|Forms|Drawings)$/, '').trim();
+    }
+
+    // -----------------------------
+    // Per-document label store
+    // -----------------------------
+
+    function getDocStorageKey(docId) {
+        return EXT_DOC_KEY_PREFIX + docId;
+    }
+
+    // Accepts both the old bare-array format and the { labels, title, url } object.
+    function normalizeDocRecord(docId, data) {
+        if (Array.isArray(data)) return { labels: data.slice(), title: 'Untitled', url: getDefaultDocumentUrl(docId), type: 'document', updatedAt: 0 };
+        if (!data || typeof data !== 'object') return { labels: [], title: 'Untitled', url: getDefaultDocumentUrl(docId), type: 'document', updatedAt: 0 };
+        const type = getDocType(data);
+        return {
+            labels: Array.isArray(data.labels) ? data.labels.slice() : [],
+            title: data.title || 'Untitled',
+            url: getDefaultDocumentUrl(docId, type),
+            type: type,
+            updatedAt: typeof data.updatedAt === 'number' ? data.updatedAt : 0
+        };
+    }
+
+    async function loadDocRecord(docId) {
+        const data = await storageGet(getDocStorageKey(docId), null);
+        return data ? normalizeDocRecord(docId, data) : null;
+    }
+
+    // Returns { [docId]: record } for the given documents that have a record, in one storage call.
+    async function loadDocRecords(docIds) {
+        const defaults = {};
+        docIds.forEach((docId) => { defaults[getDocStorageKey(docId)] = null; });
+        const stored = docIds.length > 0 ? await storageGetMany(defaults) : {};
+        const records = {};
+        docIds.forEach((docId) => {
+            const data = stored[getDocStorageKey(docId)];
+            if (data) records[docId] = normalizeDocRecord(docId, data);
+        });
+        return records;
+    }
+
+    // Returns { [docId]: { labels, title, url } } for every document in the store.
+    async function loadAllDocRecords() {
+        const all = await storageGetAll();
+        const records = {};
+        Object.keys(all).forEach((key) => {
+            if (key.startsWith(EXT_DOC_KEY_PREFIX)) {
+                const docId = key.slice(EXT_DOC_KEY_PREFIX.length);
+                records[docId] = normalizeDocRecord(docId, all[key]);
+            }
+        });
+        return records;
+    }
+
+    // `records` maps docId -> { labels, title, url }; written in a single storage call. Each record is
+    // stamped with updatedAt (used by sync to merge per document) unless `keepTimestamps` is set.
+    function saveDocRecords(records, keepTimestamps) {
+        const items = {};
+        const now = Date.now();
+        Object.keys(records).forEach((docId) => {
+            const record = records[docId];
+            const type = getDocType(record);
+            items[getDocStorageKey(docId)] = {
+                labels: record.labels,
+                title: record.title,
+                url: getDefaultDocumentUrl(docId, type),
+                type: type,
+                updatedAt: keepTimestamps && record.updatedAt ? record.updatedAt : now
+            };
+        });
+        if (Object.keys(items).length === 0) return Promise.resolve();
+        return storageSetMany(items);
+    }
+
+    // -----------------------------
+    // Label index (label -> documents, document -> labels)
+    // -----------------------------
+
+    let labelIndexReady = null;
+
+    function getLabelDocsKey(labelName) {
+        return EXT_LABEL_DOCS_PREFIX + labelName;
+    }
+
+    function getDocLabelsKey(docId) {
+        return EXT_DOC_LABELS_PREFIX + docId;
+    }
+
+    function createIndexEntry(docId, record) {
+        const type = getDocType(record);
+        return { id: docId, title: record.title, url: getDefaultDocumentUrl(docId, type), type: type };
+    }
+
+    // True when a chrome.storage change touched the label index.
+    function isLabelIndexChange(changes) {
+        return Object.keys(changes).some((key) => key === EXT_LABEL_NAMES_KEY || key.startsWith(EXT_LABEL_DOCS_PREFIX));
+    }
+
+    // Builds the whole index from the per-document records.
+    async function buildLabelIndex() {
+        const all = await storageGetAll();
+        const items = {};
+        const lists = {};
+        Object.keys(all).forEach((key) => {
+            if (!key.startsWith(EXT_DOC_KEY_PREFIX)) return;
+            const docId = key.slice(EXT_DOC_KEY_PREFIX.length);
+            const record = normalizeDocRecord(docId, all[key]);
+            const labels = record.labels.filter((l, i) => typeof l === 'string' && l && record.labels.indexOf(l) === i);
+            if (labels.length === 0) return;
+            items[getDocLabelsKey(docId)] = labels;
+            labels.forEach((label) => {
+                if (!lists[label]) lists[label] = [];
+                lists[label].push(createIndexEntry(docId, record));
+            });
+        });
+        Object.keys(lists).forEach((label) => { items[getLabelDocsKey(label)] = lists[label]; });
+        items[EXT_LABEL_NAMES_KEY] = Object.keys(lists);
+
+        const stale = Object.keys(all).filter((key) => !(key in items) &&
+            (key === EXT_MASTER_KEY || key.startsWith(EXT_LABEL_DOCS_PREFIX) || key.startsWith(EXT_DOC_LABELS_PREFIX)));
+        if (stale.length > 0) await storageRemove(stale);
+        await storageSetMany(items);
+    }
+
+    function ensureLabelIndex() {
+        if (!labelIndexReady) {
+            labelIndexReady = storageGet(EXT_LABEL_NAMES_KEY, null)
+                .then((names) => (Array.isArray(names) ? null : queueIndexTask({ rebuild: false, docIds: [] })));
+        }
+        return labelIndexReady;
+    }
+
+    // Reads label lists without waiting for the index. Index tasks use this directly: a task waiting
+    // for the index could be waiting for itself.
+    async function readLabelDocs(labelNames) {
+        const defaults = {};
+        labelNames.forEach((label) => { defaults[getLabelDocsKey(label)] = []; });
+        const stored = labelNames.length > 0 ? await storageGetMany(defaults) : {};
+        const result = {};
+        labelNames.forEach((label) => {
+            const list = stored[getLabelDocsKey(label)];
+            result[label] = Array.isArray(list) ? list : [];
+        });
+        return result;
+    }
+
+    // Returns { [labelName]: Array<{id,title,url,type}> } for just the given labels ([] when unused).
+    async function loadLabelDocs(labelNames) {
+        await ensureLabelIndex();
+        return readLabelDocs(labelNames);
+    }
+
+    // Every label with its documents: { [labelName]: Array<{id,title,url,type}> }.
+    async function loadMasterData() {
+        await ensureLabelIndex();
+        const names = await storageGet(EXT_LABEL_NAMES_KEY, []);
+        const lists = await loadLabelDocs(Array.isArray(names) ? names : []);
+        Object.keys(lists).forEach((label) => { if (lists[label].length === 0) delete lists[label]; });
+        return lists;
+    }
+
+    // Re-indexes the given documents under the labels in their stored records. Only the labels they had
+    // or now have are read and written; the label list is rewritten only when a label appears or disappears.
+    async function reindexDocs(docIds) {
+        const ids = docIds.filter((docId, i) => docIds.indexOf(docId) === i);
+        if (ids.length === 0) return;
+        const records = await loadDocRecords(ids);
+        ids.forEach((docId) => { if (!records[docId]) records[docId] = normalizeDocRecord(docId, null); });
+
+        const docDefaults = {};
+        ids.forEach((docId) => { docDefaults[getDocLabelsKey(docId)] = []; });
+        const indexed = await storageGetMany(docDefaults);
+
+        const touched = [];
+        const nextLabels = {};
+        ids.forEach((docId) => {
+            const labels = (records[docId].labels || []).filter((l, i, all) => all.indexOf(l) === i);
+            nextLabels[docId] = labels;
+            (indexed[getDocLabelsKey(docId)] || []).concat(labels).forEach((l) => { if (!touched.includes(l)) touched.push(l); });
+        });
+
+        const lists = await readLabelDocs(touched);
+        const before = {};
+        touched.forEach((label) => { before[label] = JSON.stringify(lists[label]); });
+
+        // An entry keeps its place in a label's list when the document stays under it
+        ids.forEach((docId) => {
+            const entry = createIndexEntry(docId, records[docId]);
+            touched.forEach((label) => {
+                let list = lists[label].filter((doc) => doc && doc.id);
+                const at = list.findIndex((doc) => doc.id === docId);
+                list = list.filter((doc, i) => doc.id !== docId || i === at);
+                if (nextLabels[docId].includes(label)) {
+                    if (at >= 0) list[at] = entry; else list.push(entry);
+                } else if (at >= 0) {
+                    list.splice(at, 1);
+                }
+                lists[label] = list;
+            });
+        });
+
+        const items = {};
+        const removed = [];
+        ids.forEach((docId) => {
+            if (nextLabels[docId].length > 0) items[getDocLabelsKey(docId)] = nextLabels[docId];
+            else if ((indexed[getDocLabelsKey(docId)] || []).length > 0) removed.push(getDocLabelsKey(docId));
+        });
+        const appeared = [];
+        const vanished = [];
+        touched.forEach((label) => {
+            if (JSON.stringify(lists[label]) === before[label]) return;
+            if (lists[label].length > 0) items[getLabelDocsKey(label)] = lists[label];
+            else removed.push(getLabelDocsKey(label));
+            if (before[label] === '[]' && lists[label].length > 0) appeared.push(label);
+            if (before[label] !== '[]' && lists[label].length === 0) vanished.push(label);
+        });
+        if (appeared.length > 0 || vanished.length > 0) {
+            const names = await storageGet(EXT_LABEL_NAMES_KEY, []);
+            items[EXT_LABEL_NAMES_KEY] = (Array.isArray(names) ? names : []).filter((l) => !vanished.includes(l))
+                .concat(appeared.filter((l) => !(names || []).includes(l)));
+        }
+
+        if (Object.keys(items).length > 0) await storageSetMany(items);
+        if (removed.length > 0) await storageRemove(removed);
+    }
+
+    // Index writes are read-modify-writes of shared keys, so they must not overlap: two tabs adding
+    // documents to the same label at once would each write back a list without the other's document.
+    // Every tab hands its index tasks to the background worker, which runs them one at a time, and
+    // each task reads the records as stored when it runs rather than the caller's copy.
+    // A task is { rebuild, docIds }; a missing index is always rebuilt first, which covers the docIds.
+    const INDEX_TASK_MESSAGE = 'gd-index-task';
+    const IS_INDEX_WORKER = typeof document === 'undefined';
+    let indexTaskQueue = Promise.resolve();
+
+    async function applyIndexTask(task) {
+        const names = await storageGet(EXT_LABEL_NAMES_KEY, null);
+        if (task.rebuild || !Array.isArray(names)) await buildLabelIndex();
+        else await reindexDocs(task.docIds || []);
+    }
+
+    // Runs `task` after every task queued before it in this context.
+    function runIndexTask(task) {
+        const run = indexTaskQueue.then(() => applyIndexTask(task))
+            .catch((e) => console.log('Google Docs Labels: Could not update the label index', e));
+        indexTaskQueue = run;
+        return run;
+    }
+
+    // Resolves once the task has been applied. If the worker can't be reached the tab applies it itself.
+    function queueIndexTask(task) {
+        if (IS_INDEX_WORKER) return runIndexTask(task);
+        return new Promise((resolve) => {
+            try {
+                chrome.runtime.sendMessage({ type: INDEX_TASK_MESSAGE, task: task }, (response) => {
+                    if (chrome.runtime.lastError || !response) runIndexTask(task).then(resolve);
+                    else resolve();
+                });
+            } catch (e) {
+                runIndexTask(task).then(resolve);
+            }
+        });
+    }
+
+    // Rebuilds the whole index. Runs once when no index exists yet (first run, or data from a version
+    // that kept the single gd-master-labels object) and from repair.
+    function rebuildLabelIndex() {
+        return queueIndexTask({ rebuild: true, docIds: [] });
+    }
+
+    // `records` are records just saved ({ [docId]: record }); only their IDs are used.
+    function updateMasterForDocs(records) {
+        const docIds = Object.keys(records);
+        if (docIds.length === 0) return Promise.resolve();
+        return queueIndexTask({ rebuild: false, docIds: docIds });
+    }
+
+    // Adds `add` to and strips `remove` from each of `files` ([{ id, title, type }]). Files without a
+    // record yet get one, so labels can be applied from Drive before the document was ever opened.
+    async function setLabelsOnDocs(files, add, remove) {
+        const changed = {};
+        const records = await loadDocRecords(files.map((file) => file.id));
+        for (const file of files) {
+            const record = records[file.id] || normalizeDocRecord(file.id, { title: file.title, type: file.type });
+            let next = record.labels.filter((l) => !remove.includes(l));
+            add.forEach((l) => { if (!next.includes(l)) next = next.concat(l); });
+            if (JSON.stringify(next) !== JSON.stringify(record.labels)) changed[file.id] = Object.assign({}, record, { labels: next });
+        }
+        await saveDocRecords(changed);
+        await updateMasterForDocs(changed);
+        return Object.keys(changed).length;
+    }
+
+    return {
+        EXT_DOC_KEY_PREFIX,
+        EXT_LABEL_NAMES_KEY,
+        EXT_LABEL_DOCS_PREFIX,
+        EXT_DOC_LABELS_PREFIX,
+        EXT_CATEGORY_KEY,
+        EXT_LABEL_META_KEY,
+        DRIVE_LABELS_HASH,
+        DRIVE_LABELS_URL,
+        storageGet,
+        storageSet,
+        storageSetMany,
+        storageGetMany,
+        storageGetAll,
+        storageRemove,
+        loadCategoryConfig,
+        loadLabelMeta,
+        FILE_TYPES,
+        parseDocumentUrl,
+        getDocumentIdFromUrl,
+        getDocumentTypeFromUrl,
+        getDocType,
+        getDefaultDocumentUrl,
+        stripEditorTitleSuffix,
+        normalizeDocRecord,
+        loadDocRecord,
+        loadDocRecords,
+        loadAllDocRecords,
+        saveDocRecords,
+        INDEX_TASK_MESSAGE,
+        isLabelIndexChange,
+        runIndexTask,
+        rebuildLabelIndex,
+        loadLabelDocs,
+        loadMasterData,
+        updateMasterForDocs,
+        setLabelsOnDocs
+    };
+})();
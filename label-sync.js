@@ -0,0 +1,382 @@
+/**
+ * Google Docs Labels - sync across machines (chrome.storage.sync)
+ * Loaded after label-store.js in every content script and by the background service worker. Only the
+ * worker syncs: tabs ask it to through SYNC_MESSAGE, so the store is scanned and chrome.storage.sync
+ * written once per change however many tabs are open.
+ *
+ * When enabled, the per-document records, category config and label metadata are mirrored into
+ * chrome.storage.sync. The label index is not stored there: it is derived from the documents and
+ * is rebuilt for every document a pull changes, which keeps us well inside the 100 KB quota.
+ *
+ * Documents are spread over SYNC_DOC_SHARDS shards by a hash of their ID, so an edit only rewrites
+ * the shard holding that document. A shard larger than one sync item is split into parts, and
+ * gd-sync:index records how many parts each shard has plus a hash to detect half-written shards.
+ * Merging is per document (newest updatedAt wins). Category assignments, the set of categories and
+ * label metadata merge the same way per label or category, using the time each entry was last
+ * changed on its machine; deletions travel as tombstones for SYNC_TOMBSTONE_MS. The category order
+ * is the newer machine's order followed by any categories only the other machine has.
+ */
+
+const GDLabelSync = (function() {
+    'use strict';
+
+    const {
+        EXT_DOC_KEY_PREFIX, EXT_CATEGORY_KEY, EXT_LABEL_META_KEY,
+        storageGet, storageSet, getDocType, getDefaultDocumentUrl, normalizeDocRecord,
+        loadAllDocRecords, saveDocRecords, updateMasterForDocs, loadCategoryConfig, loadLabelMeta
+    } = GDLabelStore;
+
+    const EXT_SYNC_SETTINGS_KEY = 'gd-sync-settings'; // { enabled, lastSyncedAt, lastError }
+    const EXT_SYNC_STAMPS_KEY = 'gd-sync-stamps';     // { assignments, categories, meta: { [name]: ms }, order: ms } last local edit of each entry
+    const SYNC_MESSAGE = 'gd-sync';                   // { type, now }: sync now, or soon (debounced)
+    const IS_SYNC_WORKER = typeof document === 'undefined';
+
+    const SYNC_INDEX_KEY = 'gd-sync:index';
+    const SYNC_DOC_SHARDS = 16;
+    const SYNC_PART_BYTES = 7800; // Below QUOTA_BYTES_PER_ITEM (8192) to leave room for the key
+    const SYNC_DEBOUNCE_MS = 3000;
+    const SYNC_TOMBSTONE_MS = 30 * 24 * 60 * 60 * 1000;
+
+    let syncQueue = Promise.resolve();
+    let syncTimer = null;
+
+    function syncArea() {
+        return (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) || null;
+    }
+
+    function syncCall(method, arg) {
+        return new Promise((resolve, reject) => {
+            const area = syncArea();
+            if (!area) { reject(new Error('chrome.storage.sync is not available')); return; }
+            area[method](arg, (result) => {
+                const err = chrome.runtime && chrome.runtime.lastError;
+                if (err) reject(new Error(err.message));
+                else resolve(result);
+            });
+        });
+    }
+
+    function utf8Length(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    // FNV-1a, used for shard placement and to detect shards whose parts come from different writes.
+    function hashString(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h.toString(16);
+    }
+
+    async function loadSyncSettings() {
+        const settings = await storageGet(EXT_SYNC_SETTINGS_KEY, {});
+        return (settings && typeof settings === 'object') ? settings : {};
+    }
+
+    async function saveSyncSettings(changes) {
+        const settings = await loadSyncSettings();
+        await storageSet(EXT_SYNC_SETTINGS_KEY, Object.assign(settings, changes));
+    }
+
+    async function loadSyncStamps() {
+        const stamps = await storageGet(EXT_SYNC_STAMPS_KEY, {});
+        return {
+            assignments: (stamps && stamps.assignments) || {},
+            categories: (stamps && stamps.categories) || {},
+            order: (stamps && stamps.order) || 0,
+            meta: (stamps && stamps.meta) || {}
+        };
+    }
+
+    function stampChangedKeys(stamps, before, after, now) {
+        new Set(Object.keys(before).concat(Object.keys(after))).forEach((key) => {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) stamps[key] = now;
+        });
+    }
+
+    // The categories as a set, so adding or removing one is stamped like an assignment
+    function categorySet(order) {
+        const set = {};
+        order.forEach((name) => { set[name] = 1; });
+        return set;
+    }
+
+    async function stampCategoryChanges(before, after) {
+        const stamps = await loadSyncStamps();
+        const now = Date.now();
+        stampChangedKeys(stamps.assignments, before.assignments, after.assignments, now);
+        stampChangedKeys(stamps.categories, categorySet(before.categoryOrder), categorySet(after.categoryOrder), now);
+        if (JSON.stringify(before.categoryOrder) !== JSON.stringify(after.categoryOrder)) stamps.order = now;
+        await storageSet(EXT_SYNC_STAMPS_KEY, stamps);
+    }
+
+    async function stampMetaChanges(before, after) {
+        const stamps = await loadSyncStamps();
+        stampChangedKeys(stamps.meta, before, after, Date.now());
+        await storageSet(EXT_SYNC_STAMPS_KEY, stamps);
+    }
+
+    // Sync entries are { [name]: [value, ms] }, with a null value for a deletion.
+    function toSyncEntries(values, stamps) {
+        const cutoff = Date.now() - SYNC_TOMBSTONE_MS;
+        const entries = {};
+        Object.keys(values).forEach((key) => { entries[key] = [values[key], stamps[key] || 0]; });
+        Object.keys(stamps).forEach((key) => { if (!(key in values) && stamps[key] > cutoff) entries[key] = [null, stamps[key]]; });
+        return entries;
+    }
+
+    // Newer entries win; equal times are settled by value, so both machines pick the same one.
+    function mergeSyncEntries(ours, theirs) {
+        const cutoff = Date.now() - SYNC_TOMBSTONE_MS;
+        const merged = Object.assign({}, ours);
+        Object.keys(theirs || {}).forEach((key) => {
+            const entry = theirs[key];
+            if (!Array.isArray(entry) || typeof entry[1] !== 'number') return;
+            const own = merged[key];
+            if (!own || entry[1] > own[1] || (entry[1] === own[1] && JSON.stringify(entry[0]) > JSON.stringify(own[0]))) merged[key] = entry;
+        });
+        // Sorted, so every machine writes the same shard text for the same entries
+        const sorted = {};
+        Object.keys(merged).sort().forEach((key) => {
+            if (merged[key][0] !== null || merged[key][1] > cutoff) sorted[key] = merged[key];
+        });
+        return sorted;
+    }
+
+    function syncEntryValues(entries) {
+        const values = {};
+        Object.keys(entries).forEach((key) => { if (entries[key][0] !== null) values[key] = entries[key][0]; });
+        return values;
+    }
+
+    function syncEntryStamps(entries) {
+        const stamps = {};
+        Object.keys(entries).forEach((key) => { if (entries[key][1]) stamps[key] = entries[key][1]; });
+        return stamps;
+    }
+
+    // Splits `text` so each part, stored as a JSON string, fits in one sync item.
+    function splitForSync(text) {
+        const parts = [];
+        let rest = text;
+        while (rest.length > 0) {
+            let len = Math.min(rest.length, SYNC_PART_BYTES);
+            while (len > 1 && utf8Length(JSON.stringify(rest.slice(0, len))) > SYNC_PART_BYTES) len = Math.floor(len * 0.9);
+            // Never cut a surrogate pair in half
+            if (len < rest.length && /[\uD800-\uDBFF]/.test(rest[len - 1])) len--;
+            parts.push(rest.slice(0, len));
+            rest = rest.slice(len);
+        }
+        return parts;
+    }
+
+    function docShardName(docId) {
+        return 'docs-' + (parseInt(hashString(docId), 16) % SYNC_DOC_SHARDS);
+    }
+
+    // Compact form: [labels, title, url (null when it is the default for the ID), updatedAt, type]
+    function encodeSyncDoc(docId, record) {
+        const type = getDocType(record);
+        return [record.labels, record.title, record.url === getDefaultDocumentUrl(docId, type) ? null : record.url, record.updatedAt || 0, type];
+    }
+
+    function decodeSyncDoc(docId, entry) {
+        if (!Array.isArray(entry)) return null;
+        return normalizeDocRecord(docId, { labels: entry[0], title: entry[1], url: entry[2], updatedAt: entry[3], type: entry[4] });
+    }
+
+    // Returns { docs, categories, meta, shards } from chrome.storage.sync. Shards whose parts don't
+    // match the index hash (another machine is mid-write) are left out and picked up on the next change.
+    async function readRemoteSyncState() {
+        const all = await syncCall('get', null);
+        const index = all[SYNC_INDEX_KEY] || { shards: {} };
+        const state = { docs: {}, categories: null, meta: null, shards: {}, keys: Object.keys(all) };
+
+        Object.keys(index.shards || {}).forEach((name) => {
+            const info = index.shards[name];
+            let text = '';
+            for (let i = 0; i < info.parts; i++) {
+                const part = all['gd-sync:' + name + ':' + i];
+                if (typeof part !== 'string') return;
+                text += part;
+            }
+            if (hashString(text) !== info.hash) return;
+            let value;
+            try { value = JSON.parse(text); } catch (e) { return; }
+            state.shards[name] = { text: text, parts: info.parts };
+
+            if (name.startsWith('docs-')) {
+                Object.keys(value).forEach((docId) => {
+                    const record = decodeSyncDoc(docId, value[docId]);
+                    if (record) state.docs[docId] = record;
+                });
+            } else if (name === 'categories' || name === 'meta') {
+                state[name] = value;
+            }
+        });
+        return state;
+    }
+
+    async function writeRemoteSyncState(shardValues, remote) {
+        const index = { shards: {}, updatedAt: Date.now() };
+        const toSet = {};
+        const toRemove = [];
+
+        Object.keys(shardValues).forEach((name) => {
+            const text = JSON.stringify(shardValues[name]);
+            const parts = splitForSync(text);
+            index.shards[name] = { parts: parts.length, hash: hashString(text) };
+
+            const previous = remote.shards[name];
+            if (previous && previous.text === text) return;
+            parts.forEach((part, i) => { toSet['gd-sync:' + name + ':' + i] = part; });
+            remote.keys.forEach((key) => {
+                const prefix = 'gd-sync:' + name + ':';
+                if (key.startsWith(prefix) && parseInt(key.slice(prefix.length), 10) >= parts.length) toRemove.push(key);
+            });
+        });
+
+        if (Object.keys(toSet).length === 0 && toRemove.length === 0) return false;
+        toSet[SYNC_INDEX_KEY] = index;
+        await syncCall('set', toSet);
+        if (toRemove.length > 0) await syncCall('remove', toRemove);
+        return true;
+    }
+
+    // Pull, merge per document, apply remote wins locally, then push the merged state.
+    async function runSync() {
+        const settings = await loadSyncSettings();
+        if (!settings.enabled) return;
+
+        const remote = await readRemoteSyncState();
+        const localDocs = await loadAllDocRecords();
+        const stamps = await loadSyncStamps();
+
+        const pulled = {};
+        const merged = {};
+        Object.keys(localDocs).forEach((docId) => { merged[docId] = localDocs[docId]; });
+        Object.keys(remote.docs).forEach((docId) => {
+            const theirs = remote.docs[docId];
+            const ours = localDocs[docId];
+            if (!ours || theirs.updatedAt > ours.updatedAt) {
+                pulled[docId] = theirs;
+                merged[docId] = theirs;
+            }
+        });
+        if (Object.keys(pulled).length > 0) {
+            await saveDocRecords(pulled, true);
+            await updateMasterForDocs(pulled);
+        }
+
+        const config = await loadCategoryConfig();
+        const localMeta = await loadLabelMeta();
+        const theirCategories = remote.categories || {};
+        const assignments = mergeSyncEntries(toSyncEntries(config.assignments, stamps.assignments), theirCategories.assignments);
+        const categorySetEntries = mergeSyncEntries(toSyncEntries(categorySet(config.categoryOrder), stamps.categories), theirCategories.categories);
+        const meta = mergeSyncEntries(toSyncEntries(localMeta, stamps.meta), remote.meta);
+
+        const theirOrder = Array.isArray(theirCategories.order) ? theirCategories.order : [];
+        const theirOrderAt = theirCategories.orderUpdatedAt || 0;
+        const orders = theirOrderAt > stamps.order ? [theirOrder, config.categoryOrder] : [config.categoryOrder, theirOrder];
+        const order = orders[0].concat(orders[1], Object.keys(categorySetEntries))
+            .filter((name, i, all) => all.indexOf(name) === i && categorySetEntries[name] && categorySetEntries[name][0] !== null);
+        const orderUpdatedAt = Math.max(stamps.order, theirOrderAt);
+
+        // Written directly, not through saveCategoryConfig/saveLabelMeta: merged entries keep their stamps
+        const mergedConfig = Object.assign({}, config, { assignments: syncEntryValues(assignments), categoryOrder: order });
+        if (JSON.stringify(mergedConfig) !== JSON.stringify(config)) await storageSet(EXT_CATEGORY_KEY, mergedConfig);
+        const mergedMeta = syncEntryValues(meta);
+        if (JSON.stringify(mergedMeta) !== JSON.stringify(localMeta)) await storageSet(EXT_LABEL_META_KEY, mergedMeta);
+        const mergedStamps = {
+            assignments: syncEntryStamps(assignments),
+            categories: syncEntryStamps(categorySetEntries),
+            order: orderUpdatedAt,
+            meta: syncEntryStamps(meta)
+        };
+        if (JSON.stringify(mergedStamps) !== JSON.stringify(stamps)) await storageSet(EXT_SYNC_STAMPS_KEY, mergedStamps);
+
+        const shardValues = {
+            categories: { assignments: assignments, categories: categorySetEntries, order: order, orderUpdatedAt: orderUpdatedAt },
+            meta: meta
+        };
+        for (let i = 0; i < SYNC_DOC_SHARDS; i++) shardValues['docs-' + i] = {};
+        Object.keys(merged).sort().forEach((docId) => {
+            shardValues[docShardName(docId)][docId] = encodeSyncDoc(docId, merged[docId]);
+        });
+
+        await writeRemoteSyncState(shardValues, remote);
+    }
+
+    async function syncOnce() {
+        try {
+            await runSync();
+            const settings = await loadSyncSettings();
+            if (settings.enabled) await saveSyncSettings({ lastSyncedAt: Date.now(), lastError: null });
+        } catch (e) {
+            await saveSyncSettings({ lastError: e.message || String(e) });
+            console.log('Google Docs Labels: Sync failed', e);
+        }
+    }
+
+    // Runs a sync after the one in progress, if any; resolves once it is done.
+    function syncNow() {
+        clearTimeout(syncTimer);
+        const run = syncQueue.then(syncOnce);
+        syncQueue = run;
+        return run;
+    }
+
+    function scheduleSync() {
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(() => { void syncNow(); }, SYNC_DEBOUNCE_MS);
+    }
+
+    function isSyncedLocalKey(key) {
+        return key.startsWith(EXT_DOC_KEY_PREFIX) || key === EXT_CATEGORY_KEY || key === EXT_LABEL_META_KEY;
+    }
+
+    async function getSyncUsage() {
+        const area = syncArea();
+        const bytes = await syncCall('getBytesInUse', null);
+        const all = await syncCall('get', null);
+        return {
+            bytes: bytes,
+            quotaBytes: (area && area.QUOTA_BYTES) || 102400,
+            items: Object.keys(all).filter((k) => k.startsWith('gd-sync:')).length,
+            maxItems: (area && area.MAX_ITEMS) || 512
+        };
+    }
+
+    // Resolves once the worker has synced (`now`) or scheduled a sync. If the worker can't be reached
+    // the tab does it itself.
+    function requestSync(now) {
+        const runHere = () => (now ? syncNow() : Promise.resolve(scheduleSync()));
+        if (IS_SYNC_WORKER) return runHere();
+        return new Promise((resolve) => {
+            try {
+                chrome.runtime.sendMessage({ type: SYNC_MESSAGE, now: !!now }, (response) => {
+                    if (chrome.runtime.lastError || !response) runHere().then(resolve);
+                    else resolve();
+                });
+            } catch (e) {
+                runHere().then(resolve);
+            }
+        });
+    }
+
+    return {
+        EXT_SYNC_SETTINGS_KEY,
+        SYNC_MESSAGE,
+        loadSyncSettings,
+        saveSyncSettings,
+        stampCategoryChanges,
+        stampMetaChanges,
+        isSyncedLocalKey,
+        syncNow,
+        scheduleSync,
+        requestSync,
+        getSyncUsage
+    };
+})();